@@ -38,6 +38,33 @@ class Handlers
       }
     */
 
+    // Round-trip latency of a server WebSocket reply, see CorrelateMessage
+    public static BindUIColumn("WS Latency", 60)
+    function FillWsLatencyColumn(oS: Session): String {
+        return oS["x-ws-latency"];
+    }
+
+    // Direction, type, payload size and connection host of WebSocket fake sessions, see GetWsColumnFlags
+    public static BindUIColumn("WS Direction", 60)
+    function FillWsDirectionColumn(oS: Session): String {
+        return oS["x-ws-direction"];
+    }
+
+    public static BindUIColumn("WS Type", 120)
+    function FillWsTypeColumn(oS: Session): String {
+        return oS["x-ws-type"];
+    }
+
+    public static BindUIColumn("WS Size", 60)
+    function FillWsSizeColumn(oS: Session): String {
+        return oS["x-ws-size"];
+    }
+
+    public static BindUIColumn("WS Host", 120)
+    function FillWsHostColumn(oS: Session): String {
+        return oS["x-ws-host"];
+    }
+
     // The following snippet demonstrates how to create a custom tab that shows simple text
     /*
        public BindUITab("Flags")
@@ -109,6 +136,72 @@ class Handlers
     RulesStringValue(24,"&Custom...", "%CUSTOM%")
     public static var sUA: String = null;
 
+    // Match server WebSocket replies to client requests using JSON paths,
+    // written as "{client request id path}|{server reply id path}"
+    RulesString("WebSocket &Correlation", true)
+    RulesStringValue(0,"&SignalR (I)", "I|I")
+    RulesStringValue(1,"ASP.NET &Core SignalR (invocationId)", "invocationId|invocationId")
+    RulesStringValue(2,"&JSON-RPC (id)", "id|id")
+    RulesStringValue(3,"&Custom...", "%CUSTOM%")
+    public static var sWsCorrelation: String = null;
+
+    // How often queued WebSocket frames are turned into fake sessions
+    RulesString("WebSocket &Flush Interval", false)
+    BindPref("fiddlerscript.rules.WsFlushInterval")
+    RulesStringValue(0,"&500 ms", "500")
+    RulesStringValue(1,"&1 second", "1000")
+    RulesStringValue(2,"&2 seconds", "2000")
+    RulesStringValue(3,"&5 seconds", "5000")
+    RulesStringValue(4,"&Custom...", "%CUSTOM%")
+    public static var sWsFlushInterval: String = "2000";
+
+    // The most frames waiting in the queue; more are dropped
+    RulesString("WebSocket &Queue Limit", false)
+    BindPref("fiddlerscript.rules.WsQueueLimit")
+    RulesStringValue(0,"&1,000 frames", "1000")
+    RulesStringValue(1,"1&0,000 frames", "10000")
+    RulesStringValue(2,"1&00,000 frames", "100000")
+    RulesStringValue(3,"&Custom...", "%CUSTOM%")
+    public static var sWsQueueLimit: String = "10000";
+
+    // When one flush holds more frames than this, the messages of each
+    // connection are combined into a single fake session
+    RulesString("WebSocket &Batch Threshold", true)
+    BindPref("fiddlerscript.rules.WsBatchThreshold")
+    RulesStringValue(0,"&50 frames", "50")
+    RulesStringValue(1,"&200 frames", "200")
+    RulesStringValue(2,"&1,000 frames", "1000")
+    RulesStringValue(3,"&Custom...", "%CUSTOM%")
+    public static var sWsBatchThreshold: String = "200";
+
+    // The host name of WebSocket fake sessions; give parallel captures different ones
+    RulesString("WebSocket Fake &Host", false)
+    BindPref("fiddlerscript.rules.WsFakeHost")
+    RulesStringValue(0,"&fakewebsocket", "fakewebsocket")
+    RulesStringValue(1,"&Custom...", "%CUSTOM%")
+    public static var sWsFakeHost: String = "fakewebsocket";
+
+    // The path of the fake session of each WebSocket message, see GetWsFakeUrlPath
+    RulesString("WebSocket Fake &URL", false)
+    BindPref("fiddlerscript.rules.WsFakeUrl")
+    RulesStringValue(0,"&Connection and Message", "{wsSession}.{messageID}{decoded}")
+    RulesStringValue(1,"By &Direction", "{direction}/{wsSession}.{messageID}{decoded}")
+    RulesStringValue(2,"By &Method", "{method}/{wsSession}.{messageID}")
+    RulesStringValue(3,"&Custom...", "%CUSTOM%")
+    public static var sWsFakeUrl: String = "{wsSession}.{messageID}{decoded}";
+
+    // Delay, throttle, drop or close WebSocket connections, like Simulate
+    // Modem Speeds does for HTTP (see SimulateWsNetwork)
+    RulesString("WebSocket &Network Conditions", true)
+    BindPref("fiddlerscript.rules.WsNetworkConditions")
+    RulesStringValue(0,"&Modem (56k)", "latency=150 jitter=50 up=33 down=56")
+    RulesStringValue(1,"&Slow 3G", "latency=400 jitter=100 up=400 down=400")
+    RulesStringValue(2,"&Lossy (5% dropped)", "latency=100 jitter=100 drop=5")
+    RulesStringValue(3,"&Drop Connection After 30 Seconds", "close=30s code=1006")
+    RulesStringValue(4,"Server &Error After 20 Messages", "close=20 code=1011")
+    RulesStringValue(5,"&Custom...", "%CUSTOM%")
+    public static var sWsNetworkConditions: String = null;
+
     // Cause Fiddler to delay HTTP traffic to simulate typical 56k modem conditions
     public static RulesOption("Simulate &Modem Speeds", "Per&formance")
     var m_SimulateModem: boolean = false;
@@ -119,6 +212,41 @@ class Handlers
 
     public static RulesOption("Cache Always &Fresh", "Per&formance")
     var m_AlwaysFresh: boolean = false;
+
+    // Show Binary WebSocket messages as a hex dump instead of base64
+    public static RulesOption("Show Binary Messages as &Hex", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsBinaryAsHex")
+    var m_WsBinaryAsHex: boolean = false;
+
+    // Name SignalR hub messages and add hub, method and invocation id to the fake URL
+    public static RulesOption("Decode &SignalR Messages", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsDecodeSignalR")
+    var m_WsDecodeSignalR: boolean = true;
+
+    // Split Socket.IO packets into packet type, namespace, ack id and event name
+    public static RulesOption("Decode Socket.&IO Messages", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsDecodeSocketIo")
+    var m_WsDecodeSocketIo: boolean = true;
+
+    // Don't create sessions for Ping/Pong heartbeats
+    public static RulesOption("Hide &Heartbeats", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsHideHeartbeats")
+    var m_WsHideHeartbeats: boolean = false;
+
+    // Decode Binary messages with the connection's binary decoder (MessagePack, Protobuf, CBOR)
+    public static RulesOption("Decode &Binary Messages", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsDecodeBinary")
+    var m_WsDecodeBinary: boolean = true;
+
+    // Collapse heartbeats into a periodic summary session per connection
+    public static RulesOption("Su&mmarize Heartbeats", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsSummarizeHeartbeats")
+    var m_WsSummarizeHeartbeats: boolean = false;
+
+    // When the WebSocket queue is full, drop the new frames instead of the oldest ones
+    public static RulesOption("Drop &Newest Frames When Queue Is Full", "&WebSocket")
+    BindPref("fiddlerscript.rules.WsDropNewest")
+    var m_WsDropNewest: boolean = false;
         
     // Force a manual reload of the script file.  Resets all
     // RulesOption variables to their defaults.
@@ -127,6 +255,81 @@ class Handlers
         FiddlerObject.ReloadScript();
     }
 
+    // Save all sessions to a HAR file, with the messages of WebSocket
+    // connections in Chrome's _webSocketMessages format
+    public static ToolsAction("Export HAR with WebSocket Messages...")
+    function DoExportWsHar() {
+        var oDialog = new SaveFileDialog();
+        oDialog.Filter = "HTTP Archive (*.har)|*.har";
+        oDialog.InitialDirectory = CONFIG.GetPath("Captures");
+        if (oDialog.ShowDialog() != DialogResult.OK) return;
+        try {
+            var iEntries = ExportWsHar(oDialog.FileName);
+            FiddlerObject.StatusText = "Exported " + iEntries + " session(s) to " + oDialog.FileName;
+        } catch (e: Exception) {
+            FiddlerObject.alert("HAR export failed: " + e.Message);
+        }
+    }
+
+    // Traffic statistics of the WebSocket connections of the selected sessions, see RecordWsStats
+    public static ContextAction("Show WebSocket Statistics")
+    function DoShowWsStats(oSessions: Session[]) {
+        var stats = CollectWsStats(oSessions);
+        if (stats.Count == 0) {
+            FiddlerObject.StatusText = "No WebSocket connection in the selected sessions";
+            return;
+        }
+        FiddlerObject.alert(FormatWsStats(stats));
+    }
+
+    public static ContextAction("Export WebSocket Statistics...")
+    function DoExportWsStats(oSessions: Session[]) {
+        var stats = CollectWsStats(oSessions);
+        if (stats.Count == 0) {
+            FiddlerObject.StatusText = "No WebSocket connection in the selected sessions";
+            return;
+        }
+        var oDialog = new SaveFileDialog();
+        oDialog.Filter = "CSV (*.csv)|*.csv";
+        oDialog.InitialDirectory = CONFIG.GetPath("Captures");
+        if (oDialog.ShowDialog() != DialogResult.OK) return;
+        try {
+            System.IO.File.WriteAllText(oDialog.FileName, WsStatsToCsv(stats), System.Text.Encoding.UTF8);
+            FiddlerObject.StatusText = "Saved statistics of " + stats.Count + " WebSocket connection(s) to " + oDialog.FileName;
+        } catch (e: Exception) {
+            FiddlerObject.alert("Export failed: " + e.Message);
+        }
+    }
+
+    // Structural diff of the payloads of two WebSocket messages, see DiffWsMessages
+    public static ContextAction("Compare WebSocket Messages")
+    function DoCompareWsMessages(oSessions: Session[]) {
+        if (oSessions.Length != 2 || !IsFakeWsSession(oSessions[0]) || !IsFakeWsSession(oSessions[1])) {
+            FiddlerObject.StatusText = "Select two WebSocket message sessions to compare";
+            return;
+        }
+        try {
+            FiddlerObject.alert(DiffWsMessages(oSessions[0], oSessions[1]));
+        } catch (e: Exception) {
+            FiddlerObject.alert("Compare failed: " + e.Message);
+        }
+    }
+
+    // Line up the messages of two WebSocket connections, see DiffWsConversations
+    public static ContextAction("Compare WebSocket Conversations")
+    function DoCompareWsConversations(oSessions: Session[]) {
+        var wsSessions = GetSelectedWsConnections(oSessions);
+        if (wsSessions.Count != 2) {
+            FiddlerObject.StatusText = "Select sessions of two WebSocket connections to compare";
+            return;
+        }
+        try {
+            FiddlerObject.alert(DiffWsConversations(wsSessions[0], wsSessions[1]));
+        } catch (e: Exception) {
+            FiddlerObject.alert("Compare failed: " + e.Message);
+        }
+    }
+
     public static ContextAction("Decode Selected Sessions")
     function DoRemoveEncoding(oSessions: Session[]) {
         for (var x:int = 0; x < oSessions.Length; x++){
@@ -136,6 +339,21 @@ class Handlers
         FiddlerApplication.UI.actUpdateInspector(true,true);
     }
 
+    // Send the payloads of the selected fake WebSocket sessions again, over
+    // the connection (and in the direction) they were captured on
+    public static ContextAction("Replay WebSocket Messages")
+    function DoReplayWebSocketMessages(oSessions: Session[]) {
+        var iReplayed = 0;
+        for (var x:int = 0; x < oSessions.Length; x++){
+            try {
+                if (ReplayWebSocketMessage(oSessions[x])) iReplayed++;
+            } catch (e: Exception) {
+                FiddlerApplication.Log.LogString("Replay of session " + oSessions[x].id + " failed: " + e.Message);
+            }
+        }
+        FiddlerObject.StatusText = "Replayed " + iReplayed + " WebSocket message(s)";
+    }
+
     static function OnBoot() {
         // MessageBox.Show("Fiddler has finished booting");
         // System.Diagnostics.Process.Start("iexplore.exe");
@@ -187,6 +405,11 @@ class Handlers
             oSession["ui-bold"]="QuickExec";
         }
 
+        // Send WebSocket upgrades matched by the WebSocket mock to the mock server
+        if ((null!=wsMocks) && oSession.oRequest.headers.ExistsAndContains("Upgrade", "websocket")) {
+            RouteToWsMock(oSession);
+        }
+
         if (m_SimulateModem) {
             // Delay sends by 300ms per KB uploaded.
             oSession["request-trickle-delay"] = "300"; 
@@ -275,6 +498,18 @@ class Handlers
         if (m_Hide304s && oSession.responseCode == 304) {
             oSession["ui-hide"] = "true";
         }
+
+        // The mock marker was only meant for the mock server, see RouteToWsMock
+        if (null != oSession["x-ws-original-url"]) {
+            oSession.oRequest.headers.Remove("X-Fiddler-WsMock");
+        }
+
+        // Remember WebSocket upgrades, so their handshake can be shown later
+        if (oSession.responseCode == 101 &&
+            oSession.oRequest.headers.ExistsAndContains("Upgrade", "websocket")) {
+            wsHandshakes[oSession.id] = oSession;
+            StartWsNetworkState(oSession);
+        }
     }
 
 /*
@@ -305,181 +540,5203 @@ class Handlers
         // FiddlerApplication.UI.RegisterCustomHotkey(HotkeyModifiers.Windows, Keys.G, "screenshot"); 
     
         //		    
-        // Print Web Socket frame every 2 seconds
+        // Print Web Socket frames every 2 seconds (see WebSocket Flush Interval)
         //
+        printSocketInterval = GetWsSetting(sWsFlushInterval, 2000);
         printSocketTimer =
-            new System.Threading.Timer(PrintSocketMessage, null, 0, 2000);
+            new System.Threading.Timer(PrintSocketMessage, null, 0, printSocketInterval);
     }
     
     
     static var socketMessages = new System.Collections.Queue();
     static var printSocketTimer = null;
-    static var requestBodyBuilder = new System.Text.StringBuilder();
-    static var requestUrlBuilder = new System.Text.StringBuilder();
-    static var requestPayloadIsJson = false;
-    static var requestPartCount = 0;
+    static var printSocketInterval = 2000;
+
+    //
+    // The queue is bounded (WebSocket Queue Limit). When it is full, the
+    // oldest frame is dropped, or the new one with "Drop Newest Frames When
+    // Queue Is Full"; Close frames are always kept. Dropped frames are
+    // counted in total and per connection; the .Close session of a
+    // connection reports its droppedFrames.
+    //
+    static var wsDroppedFrames = 0;
+    static var wsDroppedFramesReported = 0;
+    static var wsDroppedFramesByConnection = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    // Held while frames are dispatched, so flushes never overlap
+    static var wsDispatchLock = new Object();
+
+    // The messages of the current flush, by connection, while batching
+    static var wsBatches: System.Collections.Hashtable = null;
+
+    // Messages still being reassembled, keyed by "{wsSession}.{Client|Server}"
+    static var partialMessages = new System.Collections.Hashtable();
    
         
     static function OnWebSocketMessage(oMsg: WebSocketMessage)
     {       
         //FiddlerApplication.Log.LogString(oMsg.ToString());
-        Monitor.Enter(socketMessages);      
-        socketMessages.Enqueue(oMsg);
-        Monitor.Exit(socketMessages);          
+        TrackWsFragments(oMsg);
+
+        if (wsRewriteRules.Count > 0 && !IsControlFrame(oMsg))
+        {
+            RewriteWebSocketMessage(oMsg);
+        }
+
+        if (null != bpWebSocket && !IsControlFrame(oMsg))
+        {
+            BreakOnWebSocketMessage(oMsg);
+        }
+
+        var network = GetWsNetworkProfile();
+        if (null != network)
+        {
+            SimulateWsNetwork(oMsg, network);
+        }
+
+        //
+        // Only whole single-frame messages are dropped. When neither the
+        // oldest nor the newest frame can be dropped, the queue grows past
+        // its limit rather than break a fragmented message.
+        //
+        var dropped: WebSocketMessage = null;
+        var queueLimit = GetWsSetting(sWsQueueLimit, 10000);
+        Monitor.Enter(socketMessages);
+        if (socketMessages.Count >= queueLimit)
+        {
+            if (!m_WsDropNewest && IsDroppableFrame(socketMessages.Peek()))
+            {
+                dropped = socketMessages.Dequeue();
+            }
+            else if (IsDroppableFrame(oMsg))
+            {
+                dropped = oMsg;
+            }
+        }
+        if (dropped != oMsg)
+        {
+            socketMessages.Enqueue(oMsg);
+        }
+        Monitor.Exit(socketMessages);
+
+        if (null != dropped)
+        {
+            CountDroppedFrame(dropped);
+        }
     }
-       
-    static function PrintSocketMessage(stateInfo: Object)
+
+    static function IsDroppableFrame(oMsg: WebSocketMessage): boolean
     {
-        Monitor.Enter(socketMessages);        
-       
-        while (socketMessages.Count > 0)
+        return oMsg.IsFinalFrame
+            && oMsg.FrameType != WebSocketFrameTypes.Continuation
+            && oMsg.FrameType != WebSocketFrameTypes.Close;
+    }
+
+    static function CountDroppedFrame(oMsg: WebSocketMessage)
+    {
+        var wsSession = GetWsSession(oMsg);
+        wsTampering.Remove(oMsg);
+
+        //
+        // With context takeover, every later compressed message in this
+        // direction needs the dropped one to be inflated
+        //
+        var connection: WsConnection = wsConnections[wsSession];
+        if (null != connection && IsCompressedMessage(oMsg, wsSession))
         {
-            var oMsg = socketMessages.Dequeue();
-            ExtractSocketMessage(oMsg);          
+            Monitor.Enter(connection);
+            if (oMsg.IsOutbound)
+            {
+                if (connection.clientContextLostAt < 0) connection.clientContextLostAt = oMsg.ID;
+            }
+            else
+            {
+                if (connection.serverContextLostAt < 0) connection.serverContextLostAt = oMsg.ID;
+            }
+            Monitor.Exit(connection);
         }
-       
-        Monitor.Exit(socketMessages);       
+
+        Monitor.Enter(wsDroppedFramesByConnection.SyncRoot);
+        wsDroppedFrames++;
+        wsDroppedFramesByConnection[wsSession] =
+            ((null != wsDroppedFramesByConnection[wsSession]) ? wsDroppedFramesByConnection[wsSession] : 0) + 1;
+        Monitor.Exit(wsDroppedFramesByConnection.SyncRoot);
     }
        
-    static function ExtractSocketMessage(oMsg: WebSocketMessage)
-    {      
-        if (oMsg.FrameType != WebSocketFrameTypes.Continuation)
-        {               
-            var messageID = String.Format(
-                "{0}.{1}", oMsg.IsOutbound ? "Client" : "Server", oMsg.ID);
-           
-            var wsSession = GetWsSession(oMsg);
-            requestUrlBuilder.AppendFormat("{0}.{1}", wsSession, messageID);
-               
-            requestBodyBuilder.Append("{");
-            requestBodyBuilder.AppendFormat("\"doneTime\": \"{0}\",", 
-                oMsg.Timers.dtDoneRead.ToString("hh:mm:ss.fff"));
-            requestBodyBuilder.AppendFormat("\"messageType\": \"{0}\",", 
-                oMsg.FrameType);
-            requestBodyBuilder.AppendFormat("\"messageID\": \"{0}\",", messageID);
-            requestBodyBuilder.AppendFormat("\"wsSession\": \"{0}\",", wsSession);
-            requestBodyBuilder.Append("\"payload\": ");
-               
-                
-            var payloadString = oMsg.PayloadAsString();
-            if (oMsg.FrameType == WebSocketFrameTypes.Binary)
-            {
-                payloadString = HexToString(payloadString); 
-            }
-                
-            if (payloadString.StartsWith("{"))
-            {
-                requestPayloadIsJson = true;                   
+    //
+    // The queue is emptied under its lock, but the frames are dispatched
+    // after the lock is released, so the capture threads never wait for
+    // SendRequest. A flush of more frames than the WebSocket Batch Threshold
+    // sends one batch session per connection instead of one per message.
+    //
+    static function PrintSocketMessage(stateInfo: Object)
+    {
+        if (!Monitor.TryEnter(wsDispatchLock))
+        {
+            // The previous flush is still running; it will be picked up next time
+            return;
+        }
+
+        try
+        {
+            Monitor.Enter(socketMessages);
+            var messages = socketMessages.ToArray();
+            socketMessages.Clear();
+            Monitor.Exit(socketMessages);
+
+            var batchThreshold = GetWsSetting(sWsBatchThreshold, 0);
+            if (batchThreshold > 0 && messages.Length > batchThreshold)
+            {
+                wsBatches = new System.Collections.Hashtable();
             }
-            else
+
+            for (var i = 0; i < messages.Length; i++)
+            {
+                try
+                {
+                    ExtractSocketMessage(messages[i]);
+                }
+                catch (e: Exception)
+                {
+                    FiddlerApplication.Log.LogString("WebSocket message " + messages[i] + " was not shown: " + e.Message);
+                }
+            }
+            SendWsBatches();
+            CloseEndedWsConnections();
+
+            var network = GetWsNetworkProfile();
+            if (null != network && network.closeAfterSeconds > 0)
+            {
+                CloseExpiredWsConnections(network);
+            }
+
+            if (m_WsSummarizeHeartbeats && DateTime.Now >= nextHeartbeatSummary)
+            {
+                SendHeartbeatSummaries();
+            }
+
+            if (wsDroppedFrames != wsDroppedFramesReported)
+            {
+                FiddlerApplication.Log.LogString(String.Format(
+                    "WebSocket queue full: {0} frame(s) dropped, {1} in total",
+                    wsDroppedFrames - wsDroppedFramesReported, wsDroppedFrames));
+                wsDroppedFramesReported = wsDroppedFrames;
+            }
+
+            var interval = GetWsSetting(sWsFlushInterval, 2000);
+            if (interval != printSocketInterval)
             {
-                requestBodyBuilder.Append("\"");
+                printSocketInterval = interval;
+                printSocketTimer.Change(interval, interval);
             }
-               
-            requestBodyBuilder.AppendFormat("{0}", payloadString);     
-                          
         }
-        else
+        finally
         {
-            var payloadString = HexToString(oMsg.PayloadAsString());               
-            requestBodyBuilder.AppendFormat("{0}", payloadString);               
+            wsBatches = null;
+            Monitor.Exit(wsDispatchLock);
         }
-           
-        requestPartCount++;
-           
-        if (oMsg.IsFinalFrame)
+    }
+
+    // A positive number from a WebSocket rules string, or the default
+    static function GetWsSetting(sValue: String, iDefault: int): int
+    {
+        try
+        {
+            var value = int.Parse(sValue);
+            return (value > 0) ? value : iDefault;
+        }
+        catch (e: Exception)
         {
-            if (!requestPayloadIsJson)
-            {
-                requestBodyBuilder.Append("\"");                   
-            }
-           
-            requestBodyBuilder.AppendFormat(", \"requestPartCount\": \"{0}\"", 
-                requestPartCount);
-               
-            requestBodyBuilder.Append("}");      
-            
-                                
-            // Generate Fake WebSocket Request
-            SendRequest(requestUrlBuilder.ToString(), requestBodyBuilder.ToString());              
-                        
-            requestBodyBuilder.Clear();
-            requestUrlBuilder.Clear();
-            requestPayloadIsJson = false;
-            requestPartCount = 0;
-        }       
+            return iDefault;
+        }
     }
-       
-    static function SendRequest(urlPath: String, message: String)
+
+    //
+    // Create the fake session of a message, or hold it for the connection's
+    // batch session while a flush is being batched
+    //
+    static function DispatchWsMessage(wsSession: String, urlPath: String,
+        envelope: System.Collections.IDictionary, oFlags: System.Collections.Specialized.StringDictionary)
     {
-       
-        var request = String.Format(
-            "POST http://fakewebsocket/{0} HTTP/1.1\n" +
-            "User-Agent: Fiddler\n" +
-            "Content-Type: application/json; charset=utf-8\n" +
-            "Host: fakewebsocket\n" +
-            "Content-Length: {1}\n\n{2}",
-            urlPath, message.Length, message);
-           
-        FiddlerApplication.oProxy.SendRequest(request, null);
+        if (null == wsBatches)
+        {
+            SendRequest(urlPath, WsJson.Stringify(envelope), oFlags);
+            return;
+        }
+
+        var batch: System.Collections.ArrayList = wsBatches[wsSession];
+        if (null == batch)
+        {
+            batch = new System.Collections.ArrayList();
+            wsBatches[wsSession] = batch;
+        }
+        var message = new WsBatchedMessage();
+        message.urlPath = urlPath;
+        message.envelope = envelope;
+        message.flags = oFlags;
+        batch.Add(message);
     }
-       
-    static function GetWsSession(oMsg: WebSocketMessage)
+
+    static function SendWsBatches()
     {
-        var message = oMsg.ToString();
-        var index = message.IndexOf(".");
-        var wsSession = message.Substring(0, index);
-       
-        return wsSession;
+        if (null == wsBatches)
+        {
+            return;
+        }
+        var wsSessions = new System.Collections.ArrayList(wsBatches.Keys);
+        for (var i = 0; i < wsSessions.Count; i++)
+        {
+            SendWsBatch(wsSessions[i]);
+        }
     }
-       
-    static function HexToString(sourceHex: String)
+
+    //
+    // A connection's batch becomes one WSSession58.Batch session holding
+    // the envelopes of its messages; a batch of one message is sent as is
+    //
+    static function SendWsBatch(wsSession: String)
     {
-        sourceHex = sourceHex.Replace("-", "");
-   
-        var sb = new System.Text.StringBuilder();
-   
-        for (var i = 0; i < sourceHex.Length; i += 2)
+        var batch: System.Collections.ArrayList = (null != wsBatches) ? wsBatches[wsSession] : null;
+        if (null == batch)
+        {
+            return;
+        }
+        wsBatches.Remove(wsSession);
+
+        var first: WsBatchedMessage = batch[0];
+        if (batch.Count == 1)
+        {
+            SendRequest(first.urlPath, WsJson.Stringify(first.envelope), first.flags);
+            return;
+        }
+
+        var messages = new System.Collections.ArrayList();
+        for (var i = 0; i < batch.Count; i++)
+        {
+            messages.Add(batch[i].envelope);
+        }
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["event"] = "batch";
+        envelope["wsSession"] = wsSession;
+        envelope["openSession"] = GetFakeUrl(wsSession + ".Open");
+        envelope["messageCount"] = batch.Count;
+        envelope["firstMessageID"] = first.envelope["messageID"];
+        envelope["lastMessageID"] = batch[batch.Count - 1].envelope["messageID"];
+        envelope["messages"] = messages;
+
+        var oFlags = GetWsColumnFlags(wsSession, null, "Batch", -1);
+        oFlags["ui-backcolor"] = "LightYellow";
+        for (i = 0; i < batch.Count; i++)
         {
-            var hs = sourceHex.Substring(i, 2);
-            sb.Append(Convert.ToChar(Convert.ToUInt32(hs, 16)));
+            if (null != batch[i].flags && null != batch[i].flags["x-ws-invalid"])
+            {
+                MarkWsInvalid(oFlags);
+            }
+        }
+        SendRequest(String.Format("{0}.Batch/{1}", wsSession, batch.Count), WsJson.Stringify(envelope), oFlags);
+    }
+
+    //
+    // The envelopes held by a fake session: its own, or the messages of a batch
+    //
+    static function GetWsEnvelopes(oSession: Session): System.Collections.ArrayList
+    {
+        var envelope: System.Collections.IDictionary = WsJson.Parse(oSession.GetRequestBodyAsString());
+        if (envelope["event"] == "batch")
+        {
+            return envelope["messages"];
         }
+        var envelopes = new System.Collections.ArrayList();
+        envelopes.Add(envelope);
+        return envelopes;
+    }
        
-        var ascii = sb.ToString();
-        return ascii;
+    static function ExtractSocketMessage(oMsg: WebSocketMessage)
+    {
+        var wsSession = GetWsSession(oMsg);
+        var direction = oMsg.IsOutbound ? "Client" : "Server";
+
+        var connection = GetWsConnection(wsSession);
+        if (!connection.opened)
+        {
+            SendOpenSession(connection);
+        }
+        CountMessage(connection, oMsg, direction);
+
+        //
+        // Control frames (Ping, Pong, Close) may arrive in the middle of a
+        // fragmented message, so they never take part in reassembly.
+        //
+        if (IsControlFrame(oMsg))
+        {
+            var control = StartPartialMessage(oMsg, wsSession, direction);
+            control.partCount++;
+            SendPartialMessage(control, false);
+
+            if (oMsg.FrameType == WebSocketFrameTypes.Close)
+            {
+                FlushPartialMessages(wsSession);
+                if (!connection.closed)
+                {
+                    if (m_WsSummarizeHeartbeats)
+                    {
+                        SendHeartbeatSummary(connection);
+                    }
+                    SendCloseSession(connection, control, direction);
+                }
+            }
+            return;
+        }
+
+        //
+        // Reassembly state is kept per connection and per direction, so
+        // continuation frames of interleaved connections are never mixed.
+        //
+        var partialKey = wsSession + "." + direction;
+        var partial: WsPartialMessage = partialMessages[partialKey];
+
+        if (oMsg.FrameType != WebSocketFrameTypes.Continuation)
+        {
+            if (null != partial)
+            {
+                // A new message started before the previous one was final
+                SendPartialMessage(partial, true);
+            }
+
+            partial = StartPartialMessage(oMsg, wsSession, direction);
+            partialMessages[partialKey] = partial;
+        }
+        else if (null == partial)
+        {
+            // The start of this message was captured before the script loaded
+            partial = StartPartialMessage(oMsg, wsSession, direction);
+            partialMessages[partialKey] = partial;
+        }
+        else
+        {
+            AppendPayload(partial, oMsg);
+        }
+
+        partial.partCount++;
+
+        if (oMsg.IsFinalFrame)
+        {
+            partialMessages.Remove(partialKey);
+            SendPartialMessage(partial, false);
+        }
     }
 
-    // These static variables are used for simple breakpointing & other QuickExec rules 
-    BindPref("fiddlerscript.ephemeral.bpRequestURI")
-    public static var bpRequestURI:String = null;
+    static function StartPartialMessage(oMsg: WebSocketMessage, wsSession: String, direction: String): WsPartialMessage
+    {
+        var partial = new WsPartialMessage();
+        partial.wsSession = wsSession;
+        partial.direction = direction;
+        partial.messageID = String.Format("{0}.{1}", direction, oMsg.ID);
+        partial.frameID = oMsg.ID;
+        partial.messageType = oMsg.FrameType.ToString();
+        partial.doneTime = oMsg.Timers.dtDoneRead;
+        partial.compressed = !IsControlFrame(oMsg) && IsCompressedMessage(oMsg, wsSession);
 
-    BindPref("fiddlerscript.ephemeral.bpResponseURI")
-    public static var bpResponseURI:String = null;
+        AppendPayload(partial, oMsg);
 
-    BindPref("fiddlerscript.ephemeral.bpMethod")
-    public static var bpMethod: String = null;
+        return partial;
+    }
 
-    static var bpStatus:int = -1;
-    static var uiBoldURI: String = null;
-    static var gs_ReplaceToken: String = null;
-    static var gs_ReplaceTokenWith: String = null;
-    static var gs_OverridenHost: String = null;
-    static var gs_OverrideHostWith: String = null;
+    //
+    // Collect the raw payload bytes. They are only decoded once the whole
+    // message is reassembled, so multi-byte UTF-8 characters split across
+    // frames are decoded correctly.
+    //
+    static function AppendPayload(partial: WsPartialMessage, oMsg: WebSocketMessage)
+    {
+        var bytes: byte[] = oMsg.PayloadAsBytes();
+        if (null == bytes)
+        {
+            bytes = new byte[0];
+        }
+        partial.payload.Write(bytes, 0, bytes.Length);
 
-    // The OnExecAction function is called by either the QuickExec box in the Fiddler window,
-    // or by the ExecAction.exe command line utility.
-    static function OnExecAction(sParams: String[]): Boolean {
+        // Keep what was captured before a breakpoint edited or dropped the frame
+        var tampering: WsTampering = wsTampering[oMsg];
+        if (null != tampering)
+        {
+            wsTampering.Remove(oMsg);
+            partial.tampering = tampering.action;
+        }
+        var originalBytes: byte[] = (null != tampering) ? tampering.originalPayload : bytes;
+        partial.originalPayload.Write(originalBytes, 0, originalBytes.Length);
+    }
 
-    FiddlerObject.StatusText = "ExecAction: " + sParams[0];
+    //
+    // Decode the reassembled payload: Text messages as UTF-8, everything else
+    // as base64 or as a hex dump (e.g., 7B 22 48 22), depending on the
+    // "Show Binary Messages as Hex" rules option.
+    //
+    static function DecodePayload(partial: WsPartialMessage)
+    {
+        if (partial.messageType == WebSocketFrameTypes.Text.ToString() &&
+            (!partial.compressed || partial.inflated))
+        {
+            partial.payloadEncoding = "utf-8";
+        }
+        else
+        {
+            partial.payloadEncoding = m_WsBinaryAsHex ? "hex" : "base64";
+        }
+        partial.payloadString = BytesToPayloadString(partial.payload.ToArray(),
+            partial.payloadEncoding);
+    }
 
-    var sAction = sParams[0].toLowerCase();
+    static function BytesToPayloadString(bytes: byte[], payloadEncoding: String): String
+    {
+        switch (payloadEncoding)
+        {
+        case "utf-8": return System.Text.Encoding.UTF8.GetString(bytes);
+        case "hex": return BitConverter.ToString(bytes).Replace("-", " ");
+        default: return Convert.ToBase64String(bytes);
+        }
+    }
+
+    static function PayloadStringToBytes(payloadString: String, payloadEncoding: String): byte[]
+    {
+        switch (payloadEncoding)
+        {
+        case "utf-8":
+            return System.Text.Encoding.UTF8.GetBytes(payloadString);
+        case "hex":
+            var hex = System.Text.RegularExpressions.Regex.Replace(payloadString, "[^0-9A-Fa-f]", "");
+            var bytes: byte[] = new byte[hex.Length / 2];
+            for (var i = 0; i < bytes.Length; i++)
+            {
+                bytes[i] = Convert.ToByte(hex.Substring(i * 2, 2), 16);
+            }
+            return bytes;
+        default:
+            return Convert.FromBase64String(payloadString);
+        }
+    }
+
+    //
+    // Build web socket message information in JSON format, and send this JSON
+    // information in a fake HTTP request that will be caught by Fiddler.
+    // Incomplete messages (e.g., the connection closed before the final frame
+    // arrived) are flagged in the JSON information.
+    //
+    static function SendPartialMessage(partial: WsPartialMessage, bIncomplete: boolean)
+    {
+        var compressedSize = partial.payload.Length;
+        var inflateError = null;
+        if (partial.compressed && !bIncomplete)
+        {
+            inflateError = InflatePayload(partial);
+        }
+
+        DecodePayload(partial);
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["doneTime"] = partial.doneTime.ToString("hh:mm:ss.fff");
+        envelope["timestamp"] = partial.doneTime.ToString(wsTimestampFormat);
+        envelope["messageType"] = partial.messageType;
+        envelope["messageID"] = partial.messageID;
+        envelope["wsSession"] = partial.wsSession;
+        envelope["openSession"] = GetFakeUrl(partial.wsSession + ".Open");
+        envelope["payloadEncoding"] = partial.payloadEncoding;
+        if (partial.compressed)
+        {
+            envelope["compressedSize"] = compressedSize;
+            envelope["uncompressedSize"] = partial.payload.Length;
+        }
+        if (null != inflateError)
+        {
+            envelope["inflateError"] = inflateError;
+        }
+        if (null != partial.tampering)
+        {
+            envelope["tampering"] = partial.tampering;
+            if (!partial.compressed)
+            {
+                envelope["originalPayload"] = BytesToPayloadString(
+                    partial.originalPayload.ToArray(), partial.payloadEncoding);
+            }
+        }
+        envelope["payload"] = partial.payloadString;
+
+        // What the decoders add to the fake URL, see GetWsFakeUrlPath
+        var urlPath = "";
+
+        //
+        // Text payloads are shown as JSON (objects, arrays and primitives)
+        // whenever they parse, otherwise they are kept as a string.
+        // ASP.NET Core SignalR payloads hold several JSON records separated
+        // by 0x1E; they are shown as an array of those records.
+        //
+        if (partial.messageType == WebSocketFrameTypes.Close.ToString())
+        {
+            var closeInfo = DecodeClosePayload(partial.payload.ToArray());
+            envelope["payloadEncoding"] = "close";
+            envelope["payload"] = closeInfo;
+            urlPath += "/" + closeInfo["closeCode"];
+        }
+        else if (partial.payloadEncoding == "utf-8" && m_WsDecodeSocketIo && !partial.imported &&
+            IsSocketIoConnection(partial.wsSession) && IsSocketIoPacket(partial.payloadString))
+        {
+            urlPath += DecodeSocketIo(partial, envelope);
+        }
+        else if (partial.payloadEncoding == "utf-8")
+        {
+            var signalRRecords = null;
+            var recordErrors = new System.Collections.ArrayList();
+            try
+            {
+                if (m_WsDecodeSignalR)
+                {
+                    signalRRecords = SplitSignalRRecords(partial.payloadString, recordErrors);
+                }
+                envelope["payload"] = (null != signalRRecords)
+                    ? signalRRecords : WsJson.Parse(partial.payloadString);
+            }
+            catch (e: Exception)
+            {
+                envelope["payloadParseError"] = e.Message;
+            }
+            if (recordErrors.Count > 0)
+            {
+                envelope["recordParseErrors"] = recordErrors;
+            }
+
+            if (m_WsDecodeSignalR && !envelope.Contains("payloadParseError"))
+            {
+                urlPath += DecodeSignalR(envelope, null != signalRRecords);
+                if (!partial.imported)
+                {
+                    NoteSignalRProtocol(partial, envelope);
+                }
+            }
+        }
+        else if (partial.messageType == WebSocketFrameTypes.Binary.ToString())
+        {
+            if (m_WsDecodeSocketIo && !partial.imported)
+            {
+                urlPath += LinkSocketIoAttachment(partial, envelope);
+            }
+            if (m_WsDecodeBinary && !envelope.Contains("socketIo") && null == inflateError)
+            {
+                urlPath += DecodeBinaryPayload(partial, envelope);
+            }
+        }
+
+        // Keep the text as it was on the wire when it is shown decoded, see GetWirePayload
+        if (envelope["payloadEncoding"] == "utf-8" && !(typeof(envelope["payload"]) == "string" &&
+            envelope["payload"] == partial.payloadString))
+        {
+            envelope["rawPayloadEncoding"] = "utf-8";
+            envelope["rawPayload"] = partial.payloadString;
+        }
+
+        if (bIncomplete)
+        {
+            envelope["incomplete"] = true;
+        }
+
+        envelope["requestPartCount"] = partial.partCount;
+
+        var oFlags = GetWsColumnFlags(partial.wsSession, partial.direction,
+            GetWsMessageKind(envelope), partial.payload.Length);
+        if (partial.imported)
+        {
+            oFlags["x-ws-host"] = "";
+        }
+        if (null != partial.tampering)
+        {
+            oFlags["ui-color"] = "purple";
+            if (partial.tampering.EndsWith("dropped"))
+            {
+                oFlags["ui-strikeout"] = "true";
+            }
+        }
+        if (null != sWsCorrelation && !bIncomplete && !partial.imported)
+        {
+            CorrelateMessage(partial, envelope, oFlags);
+        }
+        if (null != wsSchemas && !bIncomplete)
+        {
+            ValidateWsMessage(partial, envelope, oFlags);
+        }
+        if (wsColorRules.Count > 0 && !oFlags.ContainsKey("ui-color"))
+        {
+            ApplyWsColorRules(partial, envelope, oFlags);
+        }
+
+        //
+        // Imported messages are shown, validated and colored like live ones,
+        // but leave the live connections, their stats and HAR traffic alone
+        //
+        if (!IsControlFrameType(partial.messageType) && !partial.imported)
+        {
+            RecordWsStats(partial, oFlags["x-ws-type"], compressedSize);
+        }
+        if (!bIncomplete && !partial.imported)
+        {
+            RecordHarMessage(GetWsHandshake(partial.wsSession), partial.direction == "Client",
+                partial.messageType, partial.doneTime, (partial.payloadEncoding == "utf-8")
+                    ? partial.payloadString : Convert.ToBase64String(partial.payload.ToArray()));
+        }
+
+        var heartbeat = GetHeartbeatType(partial, envelope);
+        if (null != heartbeat)
+        {
+            if (!partial.imported)
+            {
+                CountHeartbeat(partial, heartbeat);
+            }
+            if (m_WsHideHeartbeats || m_WsSummarizeHeartbeats)
+            {
+                return;
+            }
+        }
+
+        if (!PassesWsFilters(partial, envelope))
+        {
+            return;
+        }
+
+        // Generate Fake WebSocket Request
+        if (partial.imported)
+        {
+            SendRequest(GetWsFakeUrlPath(partial, envelope, urlPath), WsJson.Stringify(envelope), oFlags);
+            return;
+        }
+        DispatchWsMessage(partial.wsSession, GetWsFakeUrlPath(partial, envelope, urlPath), envelope, oFlags);
+    }
+
+    //
+    // Send whatever has been reassembled so far for a connection that is
+    // closing, in both directions, marked as incomplete.
+    //
+    static function FlushPartialMessages(wsSession: String)
+    {
+        var directions = ["Client", "Server"];
+        for (var i = 0; i < directions.length; i++)
+        {
+            var partialKey = wsSession + "." + directions[i];
+            var partial: WsPartialMessage = partialMessages[partialKey];
+            if (null != partial)
+            {
+                partialMessages.Remove(partialKey);
+                SendPartialMessage(partial, true);
+            }
+            socketIoAttachments.Remove(partialKey);
+        }
+
+        var prefix = wsSession + "|";
+        var closedRequests = new System.Collections.ArrayList();
+        for (var entry in pendingReplies)
+        {
+            if (entry.Key.ToString().StartsWith(prefix))
+            {
+                closedRequests.Add(entry.Key);
+            }
+        }
+        for (var i = 0; i < closedRequests.Count; i++)
+        {
+            pendingReplies.Remove(closedRequests[i]);
+        }
+    }
+
+    static function IsControlFrame(oMsg: WebSocketMessage): boolean
+    {
+        return oMsg.FrameType == WebSocketFrameTypes.Close ||
+            oMsg.FrameType == WebSocketFrameTypes.Ping ||
+            oMsg.FrameType == WebSocketFrameTypes.Pong;
+    }
+
+    static function IsControlFrameType(messageType: String): boolean
+    {
+        return messageType == "Close" || messageType == "Ping" || messageType == "Pong";
+    }
+
+    //
+    // SignalR decoding. Classic SignalR sends hub envelopes such as
+    // {"H":"Hub","M":"Method","A":[...],"I":"0"}, while ASP.NET Core SignalR
+    // sends {"type":1,"target":"Method",...} records terminated by 0x1E.
+    //
+    static var signalRMessageTypes = ["Handshake", "Invocation", "StreamItem",
+        "Completion", "StreamInvocation", "CancelInvocation", "Ping", "Close",
+        "Ack", "Sequence"];
+
+    //
+    // Split an ASP.NET Core SignalR payload on the 0x1E record separator.
+    // Returns null when the payload is not record separated. A record that
+    // is not JSON is kept as text, and why is added to errors, so the other
+    // records are still decoded.
+    //
+    static function SplitSignalRRecords(payloadString: String, errors: System.Collections.ArrayList): System.Collections.ArrayList
+    {
+        if (payloadString.IndexOf("\u001e") < 0)
+        {
+            return null;
+        }
+
+        var records = new System.Collections.ArrayList();
+        var parts = payloadString.Split(String.fromCharCode(0x1E).ToCharArray(),
+            StringSplitOptions.RemoveEmptyEntries);
+        for (var i = 0; i < parts.Length; i++)
+        {
+            try
+            {
+                records.Add(WsJson.Parse(parts[i]));
+            }
+            catch (e: Exception)
+            {
+                records.Add(parts[i]);
+                errors.Add(String.Format("record {0}: {1}", i, e.Message));
+            }
+        }
+        return records;
+    }
+
+    //
+    // Name the SignalR messages held in the envelope payload, record them in
+    // a "signalR" envelope field, and return a URL suffix such as
+    // "/Invocation/TransportHub.Send/7" so sessions can be filtered by hub
+    // method in the Web Sessions list.
+    //
+    static function DecodeSignalR(envelope: System.Collections.IDictionary, bRecordSeparated: boolean): String
+    {
+        var messages = new System.Collections.ArrayList();
+        if (bRecordSeparated)
+        {
+            messages.AddRange(envelope["payload"]);
+        }
+        else
+        {
+            messages.Add(envelope["payload"]);
+        }
+
+        var summaries = new System.Collections.ArrayList();
+        for (var i = 0; i < messages.Count; i++)
+        {
+            if (messages[i] instanceof System.Collections.IDictionary)
+            {
+                DescribeSignalRMessage(messages[i], bRecordSeparated, summaries);
+            }
+        }
+
+        if (summaries.Count == 0)
+        {
+            return "";
+        }
+
+        envelope["signalR"] = summaries;
+
+        var first: System.Collections.IDictionary = summaries[0];
+        var urlSuffix = "/" + first["messageType"];
+        if (first.Contains("protocol"))
+        {
+            urlSuffix += "/" + Uri.EscapeDataString(first["protocol"]);
+        }
+        if (first.Contains("target"))
+        {
+            urlSuffix += "/" + Uri.EscapeDataString(first.Contains("hub")
+                ? first["hub"] + "." + first["target"] : first["target"]);
+        }
+        if (first.Contains("invocationId"))
+        {
+            urlSuffix += "/" + Uri.EscapeDataString(first["invocationId"]);
+        }
+        return urlSuffix;
+    }
+
+    static function DescribeSignalRMessage(message: System.Collections.IDictionary,
+        bRecordSeparated: boolean, summaries: System.Collections.ArrayList)
+    {
+        if (bRecordSeparated)
+        {
+            // ASP.NET Core SignalR
+            if (message.Contains("type"))
+            {
+                var type = Convert.ToInt32(message["type"]);
+                AddSignalRSummary(summaries,
+                    (type > 0 && type < signalRMessageTypes.length)
+                        ? signalRMessageTypes[type] : "Unknown" + type,
+                    null, message["target"], message["invocationId"], message["error"]);
+            }
+            else if (message.Contains("protocol"))
+            {
+                AddSignalRSummary(summaries, "Handshake", null, null, null, null);
+                summaries[summaries.Count - 1]["protocol"] = String(message["protocol"]);
+            }
+            else
+            {
+                AddSignalRSummary(summaries, "HandshakeResponse", null, null, null, message["error"]);
+            }
+            return;
+        }
+
+        // Classic SignalR: a client hub invocation
+        if (message.Contains("H") && message.Contains("M"))
+        {
+            AddSignalRSummary(summaries, "Invocation",
+                message["H"], message["M"], message["I"], null);
+            return;
+        }
+
+        // Classic SignalR: hub results and progress updates
+        if (message.Contains("I") && (message.Contains("R") || message.Contains("E")))
+        {
+            AddSignalRSummary(summaries, "Completion", null, null, message["I"], message["E"]);
+            return;
+        }
+        if (message.Contains("I") && message.Contains("P"))
+        {
+            AddSignalRSummary(summaries, "StreamItem", null, null, message["I"], null);
+            return;
+        }
+
+        // Classic SignalR: a persistent response carrying server invocations
+        if (message.Contains("C") && (message["M"] instanceof System.Collections.IList))
+        {
+            var invocations: System.Collections.IList = message["M"];
+            for (var i = 0; i < invocations.Count; i++)
+            {
+                if (invocations[i] instanceof System.Collections.IDictionary)
+                {
+                    var invocation: System.Collections.IDictionary = invocations[i];
+                    AddSignalRSummary(summaries, "Invocation",
+                        invocation["H"], invocation["M"], invocation["I"], null);
+                }
+            }
+        }
+    }
+
+    static function AddSignalRSummary(summaries: System.Collections.ArrayList,
+        messageType: String, hub: Object, target: Object, invocationId: Object, error: Object)
+    {
+        var summary = new System.Collections.Specialized.OrderedDictionary();
+        summary["messageType"] = messageType;
+        if (null != hub) summary["hub"] = String(hub);
+        if (null != target) summary["target"] = String(target);
+        if (null != invocationId) summary["invocationId"] = String(invocationId);
+        if (null != error) summary["error"] = error;
+        summaries.Add(summary);
+    }
+
+    //
+    // Socket.IO decoding. Engine.IO packets start with a packet type digit;
+    // "message" packets carry a Socket.IO packet, e.g.
+    // 42["chat",{...}] or 451-/admin,17["upload",{"_placeholder":true,"num":0}]
+    //
+    static var engineIoPacketTypes = ["open", "close", "ping", "pong",
+        "message", "upgrade", "noop"];
+    static var socketIoPacketTypes = ["CONNECT", "DISCONNECT", "EVENT", "ACK",
+        "CONNECT_ERROR", "BINARY_EVENT", "BINARY_ACK"];
+
+    // Binary attachments still expected, keyed by "{wsSession}.{Client|Server}"
+    static var socketIoAttachments = new System.Collections.Hashtable();
+
+    //
+    // Only connections upgraded from an Engine.IO URL carry Socket.IO
+    // packets; elsewhere a text such as "2" or "12 apples" is left alone.
+    //
+    static function IsSocketIoConnection(wsSession: String): boolean
+    {
+        var connection: WsConnection = wsConnections[wsSession];
+        return null != connection && connection.socketIo;
+    }
+
+    static function IsSocketIoUrl(url: String): boolean
+    {
+        return System.Text.RegularExpressions.Regex.IsMatch(url, "/socket\\.io/|[?&]EIO=",
+            System.Text.RegularExpressions.RegexOptions.IgnoreCase);
+    }
+
+    //
+    // A Socket.IO packet starts with an Engine.IO type digit and is either not
+    // valid JSON on its own (e.g. 42["chat"]), or is a bare packet type such
+    // as 2 (ping) or 40 (connect).
+    //
+    static function IsSocketIoPacket(payloadString: String): boolean
+    {
+        if (!System.Text.RegularExpressions.Regex.IsMatch(payloadString, "^[0-6]"))
+        {
+            return false;
+        }
+        if (System.Text.RegularExpressions.Regex.IsMatch(payloadString, "^[0-6][0-6]?$"))
+        {
+            return true;
+        }
+
+        try
+        {
+            WsJson.Parse(payloadString);
+            return false;
+        }
+        catch (e: Exception)
+        {
+            return true;
+        }
+    }
+
+    //
+    // Split the packet type digits, namespace, ack id and event name from the
+    // JSON arguments, record them in a "socketIo" envelope field and return a
+    // URL suffix such as "/message/chat".
+    //
+    static function DecodeSocketIo(partial: WsPartialMessage, envelope: System.Collections.IDictionary): String
+    {
+        var packet = partial.payloadString;
+        var engineType = Convert.ToInt32(packet.Substring(0, 1));
+        var socketIo = new System.Collections.Specialized.OrderedDictionary();
+        socketIo["engineType"] = engineIoPacketTypes[engineType];
+        envelope["socketIo"] = socketIo;
+
+        var urlSuffix = "/" + engineIoPacketTypes[engineType];
+        var data = packet.Substring(1);
+
+        if (engineType == 4 && data.Length > 0 &&
+            data.charAt(0) >= '0' && data.charAt(0) <= '6')
+        {
+            var match = System.Text.RegularExpressions.Regex.Match(data,
+                "^([0-6])(?:(\\d+)-)?(?:(/[^,]*),?)?(\\d+)?(.*)$",
+                System.Text.RegularExpressions.RegexOptions.Singleline);
+            var packetType = Convert.ToInt32(match.Groups[1].Value);
+            socketIo["packetType"] = socketIoPacketTypes[packetType];
+            socketIo["namespace"] = match.Groups[3].Success ? match.Groups[3].Value : "/";
+            if (match.Groups[4].Success)
+            {
+                socketIo["ackId"] = Convert.ToInt64(match.Groups[4].Value);
+            }
+            if (match.Groups[2].Success)
+            {
+                var attachments = new WsSocketIoAttachments();
+                attachments.messageID = partial.messageID;
+                attachments.expected = Convert.ToInt32(match.Groups[2].Value);
+                socketIo["attachments"] = attachments.expected;
+                socketIoAttachments[partial.wsSession + "." + partial.direction] = attachments;
+            }
+            data = match.Groups[5].Value;
+            urlSuffix += "/" + socketIoPacketTypes[packetType].ToLower();
+        }
+
+        envelope["payload"] = data;
+        if (data.Length > 0)
+        {
+            try
+            {
+                envelope["payload"] = WsJson.Parse(data);
+            }
+            catch (e: Exception)
+            {
+                // Engine.IO payloads such as "probe" are plain text
+            }
+        }
+
+        //
+        // For events, the first argument is the event name; the remaining
+        // arguments become the payload.
+        //
+        var args = envelope["payload"];
+        if (socketIo.Contains("packetType") &&
+            socketIo["packetType"].ToString().EndsWith("EVENT") &&
+            (args instanceof System.Collections.ArrayList) && args.Count > 0)
+        {
+            var eventArgs: System.Collections.ArrayList = args;
+            socketIo["event"] = String(eventArgs[0]);
+            eventArgs.RemoveAt(0);
+            urlSuffix = "/" + engineIoPacketTypes[engineType] + "/" +
+                Uri.EscapeDataString(socketIo["event"]);
+        }
+        else if (socketIo.Contains("ackId"))
+        {
+            urlSuffix += "/" + socketIo["ackId"];
+        }
+
+        return urlSuffix;
+    }
+
+    //
+    // Binary messages that follow a BINARY_EVENT or BINARY_ACK are its
+    // attachments: link them to the packet whose placeholders they fill.
+    //
+    static function LinkSocketIoAttachment(partial: WsPartialMessage, envelope: System.Collections.IDictionary): String
+    {
+        var attachmentKey = partial.wsSession + "." + partial.direction;
+        var attachments: WsSocketIoAttachments = socketIoAttachments[attachmentKey];
+        if (null == attachments)
+        {
+            return "";
+        }
+
+        var socketIo = new System.Collections.Specialized.OrderedDictionary();
+        socketIo["attachmentOf"] = attachments.messageID;
+        socketIo["attachmentNum"] = attachments.received;
+        envelope["socketIo"] = socketIo;
+
+        var urlSuffix = "/attachment/" + attachments.received;
+        attachments.received++;
+        if (attachments.received >= attachments.expected)
+        {
+            socketIoAttachments.Remove(attachmentKey);
+        }
+        return urlSuffix;
+    }
+
+    //
+    // Binary decoders. The decoder of a Binary message is chosen by the first
+    // matching wsdecode rule, else by the connection: its subprotocol, or the
+    // hub protocol an ASP.NET Core SignalR client asked for in its handshake.
+    // A decoder is named by a spec: "msgpack", "msgpack:signalr" (SignalR's
+    // length-prefixed MessagePack hub protocol), "cbor", "protobuf"
+    // (schemaless) or "protobuf:<file.proto>[#<Message>]". The decoded value
+    // becomes the payload; the bytes are kept in rawPayload. To add a decoder,
+    // implement IWsBinaryDecoder and create it in CreateWsBinaryDecoder.
+    //
+    static var wsDecoderRules = new System.Collections.ArrayList();
+
+    // Decoders by spec, so .proto files are only parsed once
+    static var wsBinaryDecoders = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    static function DecodeBinaryPayload(partial: WsPartialMessage, envelope: System.Collections.IDictionary): String
+    {
+        var spec = GetWsBinaryDecoderSpec(partial, envelope);
+        if (null == spec)
+        {
+            return "";
+        }
+
+        var value;
+        try
+        {
+            value = GetWsBinaryDecoder(spec).Decode(partial.payload.ToArray());
+            if (spec == "msgpack:signalr")
+            {
+                value = ToSignalRJsonMessages(value);
+            }
+        }
+        catch (e: Exception)
+        {
+            envelope["binaryDecoder"] = spec;
+            envelope["payloadDecodeError"] = e.Message;
+            return "";
+        }
+
+        envelope["binaryDecoder"] = spec;
+        envelope["rawPayloadEncoding"] = envelope["payloadEncoding"];
+        envelope["rawPayload"] = envelope["payload"];
+        envelope["payloadEncoding"] = spec.Split(":".ToCharArray())[0];
+        envelope["payload"] = value;
+
+        if (spec == "msgpack:signalr" && m_WsDecodeSignalR)
+        {
+            return DecodeSignalR(envelope, true);
+        }
+        return "";
+    }
+
+    static function GetWsBinaryDecoderSpec(partial: WsPartialMessage, envelope: System.Collections.IDictionary): String
+    {
+        var rules = wsDecoderRules;
+        for (var i = 0; i < rules.Count; i++)
+        {
+            var rule: WsDecoderRule = rules[i];
+            if (null == rule.filter || MatchesWsFilter(rule.filter, partial, envelope))
+            {
+                return rule.decoder;
+            }
+        }
+
+        var connection: WsConnection = partial.imported ? null : wsConnections[partial.wsSession];
+        return (null != connection) ? connection.binaryDecoder : null;
+    }
+
+    static function GetWsBinaryDecoder(spec: String): IWsBinaryDecoder
+    {
+        var decoder: IWsBinaryDecoder = wsBinaryDecoders[spec];
+        if (null == decoder)
+        {
+            decoder = CreateWsBinaryDecoder(spec);
+            wsBinaryDecoders[spec] = decoder;
+        }
+        return decoder;
+    }
+
+    static function CreateWsBinaryDecoder(spec: String): IWsBinaryDecoder
+    {
+        var index = spec.IndexOf(":");
+        var name = (index < 0) ? spec : spec.Substring(0, index);
+        var argument = (index < 0) ? null : spec.Substring(index + 1);
+        switch (name.toLowerCase())
+        {
+        case "msgpack":
+            return new WsMessagePackDecoder(argument == "signalr");
+        case "cbor":
+            return new WsCborDecoder();
+        case "protobuf":
+            if (null == argument)
+            {
+                return new WsProtobufDecoder(null, null);
+            }
+            var hash = argument.LastIndexOf("#");
+            return (hash < 0) ? new WsProtobufDecoder(WsProtoSchema.Load(argument), null)
+                : new WsProtobufDecoder(WsProtoSchema.Load(argument.Substring(0, hash)), argument.Substring(hash + 1));
+        }
+        throw new Exception("Unknown binary decoder " + name + " (use msgpack, cbor or protobuf)");
+    }
+
+    // The decoder a connection's subprotocol implies
+    static function GetSubprotocolDecoder(subprotocol: String): String
+    {
+        subprotocol = (null != subprotocol) ? subprotocol.toLowerCase() : "";
+        if (subprotocol.Contains("msgpack") || subprotocol.Contains("messagepack")) return "msgpack";
+        if (subprotocol.Contains("cbor")) return "cbor";
+        if (subprotocol.Contains("proto") || subprotocol.Contains("grpc")) return "protobuf";
+        return null;
+    }
+
+    //
+    // An ASP.NET Core SignalR client picks its hub protocol in a JSON handshake;
+    // with "messagepack", all later Binary messages use the MessagePack protocol
+    //
+    static function NoteSignalRProtocol(partial: WsPartialMessage, envelope: System.Collections.IDictionary)
+    {
+        if (!envelope.Contains("signalR") || partial.direction != "Client")
+        {
+            return;
+        }
+        var first: System.Collections.IDictionary = envelope["signalR"][0];
+        var connection: WsConnection = wsConnections[partial.wsSession];
+        if (null != connection && first["messageType"] == "Handshake" && first["protocol"] == "messagepack")
+        {
+            connection.binaryDecoder = "msgpack:signalr";
+        }
+    }
+
+    //
+    // MessagePack hub protocol messages are arrays, e.g.
+    // [1, headers, invocationId, target, arguments, streamIds] for an
+    // Invocation. They are given the names of the JSON hub protocol, so the
+    // SignalR decoding and correlation apply to them as well.
+    //
+    static function ToSignalRJsonMessages(records: System.Collections.IList): System.Collections.ArrayList
+    {
+        var messages = new System.Collections.ArrayList();
+        for (var i = 0; i < records.Count; i++)
+        {
+            var record: System.Collections.IList = records[i];
+            var message = new System.Collections.Specialized.OrderedDictionary();
+            var type = Convert.ToInt32(record[0]);
+            message["type"] = type;
+            switch (type)
+            {
+            case 1:
+            case 4:
+                AddSignalRField(message, "headers", record, 1);
+                AddSignalRField(message, "invocationId", record, 2);
+                AddSignalRField(message, "target", record, 3);
+                AddSignalRField(message, "arguments", record, 4);
+                AddSignalRField(message, "streamIds", record, 5);
+                break;
+            case 2:
+                AddSignalRField(message, "headers", record, 1);
+                AddSignalRField(message, "invocationId", record, 2);
+                AddSignalRField(message, "item", record, 3);
+                break;
+            case 3:
+                AddSignalRField(message, "headers", record, 1);
+                AddSignalRField(message, "invocationId", record, 2);
+                // Result kind: 1 error, 2 void, 3 result
+                var resultKind = (record.Count > 3) ? Convert.ToInt32(record[3]) : 2;
+                if (resultKind != 2)
+                {
+                    AddSignalRField(message, (resultKind == 1) ? "error" : "result", record, 4);
+                }
+                break;
+            case 5:
+                AddSignalRField(message, "headers", record, 1);
+                AddSignalRField(message, "invocationId", record, 2);
+                break;
+            case 7:
+                AddSignalRField(message, "error", record, 1);
+                AddSignalRField(message, "allowReconnect", record, 2);
+                break;
+            case 8:
+            case 9:
+                AddSignalRField(message, "sequenceId", record, 1);
+                break;
+            }
+            messages.Add(message);
+        }
+        return messages;
+    }
+
+    static function AddSignalRField(message: System.Collections.IDictionary, name: String,
+        record: System.Collections.IList, index: int)
+    {
+        if (index >= record.Count || null == record[index] ||
+            (record[index] instanceof System.Collections.ICollection && record[index].Count == 0 && name == "headers"))
+        {
+            return;
+        }
+        message[name] = record[index];
+    }
+
+    static function AddWsDecoderRule(sParams: String[]): System.Collections.ArrayList
+    {
+        var rule = new WsDecoderRule();
+        rule.decoder = sParams[1];
+        rule.filter = (sParams.Length > 2) ? ParseWsFilter(sParams[2]) : null;
+        rule.text = rule.decoder + ((null != rule.filter) ? " " + rule.filter.text : "");
+
+        // Fail now on unknown decoders and bad .proto files, rather than on every message
+        wsBinaryDecoders.Remove(rule.decoder);
+        GetWsBinaryDecoder(rule.decoder);
+
+        var result = new System.Collections.ArrayList(wsDecoderRules);
+        result.Add(rule);
+        return result;
+    }
+
+    //
+    // Contract validation. The wsschemas command loads a directory of JSON
+    // Schemas (*.json); each one applies to the messages named in its
+    // "x-websocket" member:
+    //   {"hubMethod": "ChatHub.Send"}  SignalR invocations of a hub method
+    //                                  (or just "Send"); their arguments
+    //                                  array is validated
+    //   {"event": "chat"}              Socket.IO events; their arguments
+    //                                  array is validated
+    //   {"path": "type", "value": "order.created"}
+    //                                  JSON messages whose value at the path
+    //                                  matches (or exists, without "value")
+    // with an optional "direction" (client or server). A schema without
+    // x-websocket applies to the hub method or event named by its file name.
+    // Messages that fail are shown in bold red, with validationErrors.
+    //
+    static var wsSchemas: System.Collections.ArrayList = null;
+
+    static function LoadWsSchemas(sDirectory: String): System.Collections.ArrayList
+    {
+        var schemas = new System.Collections.ArrayList();
+        var files = System.IO.Directory.GetFiles(sDirectory, "*.json");
+        Array.Sort(files);
+        for (var i = 0; i < files.Length; i++)
+        {
+            var schema = new WsSchema();
+            schema.name = System.IO.Path.GetFileName(files[i]);
+            try
+            {
+                schema.schema = WsJson.Parse(System.IO.File.ReadAllText(files[i]));
+                // A broken $ref or pattern would otherwise only fail once a message is validated
+                WsJsonSchema.Check(schema.schema, schema.schema, "#");
+            }
+            catch (e: Exception)
+            {
+                throw new Exception(schema.name + ": " + e.Message);
+            }
+
+            var mapping: System.Collections.IDictionary =
+                (schema.schema instanceof System.Collections.IDictionary) ? schema.schema["x-websocket"] : null;
+            if (null == mapping)
+            {
+                schema.kind = "name";
+                schema.key = System.IO.Path.GetFileNameWithoutExtension(files[i]);
+            }
+            else if (mapping.Contains("hubMethod"))
+            {
+                schema.kind = "hubMethod";
+                schema.key = mapping["hubMethod"];
+            }
+            else if (mapping.Contains("event"))
+            {
+                schema.kind = "event";
+                schema.key = mapping["event"];
+            }
+            else if (mapping.Contains("path"))
+            {
+                schema.kind = "path";
+                schema.key = mapping["path"];
+                schema.value = mapping.Contains("value") ? String(mapping["value"]) : null;
+            }
+            else
+            {
+                throw new Exception(schema.name + ": x-websocket needs hubMethod, event or path");
+            }
+            schema.direction = (null != mapping) ? mapping["direction"] : null;
+            schemas.Add(schema);
+        }
+        return schemas;
+    }
+
+    static function ValidateWsMessage(partial: WsPartialMessage, envelope: System.Collections.IDictionary,
+        oFlags: System.Collections.Specialized.StringDictionary)
+    {
+        var schemas = wsSchemas;
+        var validatedBy = new System.Collections.ArrayList();
+        var errors = new System.Collections.ArrayList();
+
+        for (var i = 0; i < schemas.Count; i++)
+        {
+            var schema: WsSchema = schemas[i];
+            if (null != schema.direction &&
+                !String.Equals(schema.direction, partial.direction, StringComparison.OrdinalIgnoreCase))
+            {
+                continue;
+            }
+
+            var instances = GetWsSchemaInstances(schema, envelope);
+            for (var j = 0; j < instances.Count; j++)
+            {
+                if (!validatedBy.Contains(schema.name))
+                {
+                    validatedBy.Add(schema.name);
+                }
+                var instanceErrors = new System.Collections.ArrayList();
+                try
+                {
+                    WsJsonSchema.Validate(schema.schema, instances[j], schema.schema, "$", instanceErrors);
+                }
+                catch (e: Exception)
+                {
+                    // Still show the message, with the failure
+                    instanceErrors.Add("$: the schema could not be applied, " + e.Message);
+                }
+                for (var k = 0; k < instanceErrors.Count; k++)
+                {
+                    errors.Add(schema.name + ": " + instanceErrors[k]);
+                }
+            }
+        }
+
+        if (validatedBy.Count > 0)
+        {
+            envelope["validatedBy"] = validatedBy;
+        }
+        if (errors.Count > 0)
+        {
+            envelope["validationErrors"] = errors;
+            MarkWsInvalid(oFlags);
+        }
+    }
+
+    static function MarkWsInvalid(oFlags: System.Collections.Specialized.StringDictionary)
+    {
+        oFlags["ui-color"] = "red";
+        oFlags["ui-bold"] = "true";
+        oFlags["x-ws-invalid"] = "true";
+    }
+
+    // The values a schema validates in a message, if it applies to the message
+    static function GetWsSchemaInstances(schema: WsSchema, envelope: System.Collections.IDictionary): System.Collections.ArrayList
+    {
+        var instances = new System.Collections.ArrayList();
+        var payload = envelope["payload"];
+
+        if ((schema.kind == "hubMethod" || schema.kind == "name") && envelope.Contains("signalR"))
+        {
+            var invocations = GetSignalRInvocations(payload);
+            for (var i = 0; i < invocations.Count; i++)
+            {
+                var invocation: System.Collections.IDictionary = invocations[i];
+                var hub = invocation.Contains("H") ? invocation["H"] : null;
+                var method = invocation.Contains("M") ? invocation["M"] : invocation["target"];
+                if (String.Equals(schema.key, method, StringComparison.OrdinalIgnoreCase) ||
+                    (null != hub && String.Equals(schema.key, hub + "." + method, StringComparison.OrdinalIgnoreCase)))
+                {
+                    instances.Add(invocation.Contains("A") ? invocation["A"] : invocation["arguments"]);
+                }
+            }
+        }
+        else if ((schema.kind == "event" || schema.kind == "name") && envelope.Contains("socketIo"))
+        {
+            if (envelope["socketIo"]["event"] == schema.key)
+            {
+                instances.Add(payload);
+            }
+        }
+        else if (schema.kind == "path" && !envelope.Contains("payloadParseError"))
+        {
+            var value = WsJson.Select(payload, schema.key);
+            if (null != value && (null == schema.value || String(value) == schema.value))
+            {
+                instances.Add(payload);
+            }
+        }
+        return instances;
+    }
+
+    //
+    // The hub invocations in a SignalR payload: classic {"H","M","A"}
+    // envelopes (also inside a persistent response's "M" array) and
+    // ASP.NET Core {"type":1|4,"target","arguments"} records
+    //
+    static function GetSignalRInvocations(payload: Object): System.Collections.ArrayList
+    {
+        var messages = new System.Collections.ArrayList();
+        if (payload instanceof System.Collections.IList)
+        {
+            messages.AddRange(payload);
+        }
+        else
+        {
+            messages.Add(payload);
+        }
+
+        var invocations = new System.Collections.ArrayList();
+        for (var i = 0; i < messages.Count; i++)
+        {
+            if (!(messages[i] instanceof System.Collections.IDictionary))
+            {
+                continue;
+            }
+            var message: System.Collections.IDictionary = messages[i];
+            if (message.Contains("H") && message.Contains("M"))
+            {
+                invocations.Add(message);
+            }
+            else if (message.Contains("C") && (message["M"] instanceof System.Collections.IList))
+            {
+                var inner = GetSignalRInvocations(message["M"]);
+                invocations.AddRange(inner);
+            }
+            else if (message.Contains("target") && message.Contains("type") &&
+                (Convert.ToInt32(message["type"]) == 1 || Convert.ToInt32(message["type"]) == 4))
+            {
+                invocations.Add(message);
+            }
+        }
+        return invocations;
+    }
+
+    // Every fake session with validation errors, as one line per message
+    static function DescribeWsValidationFailures(): String
+    {
+        var oSB = new System.Text.StringBuilder();
+        var iFailures = 0;
+        var arrSessions: Session[] = FiddlerApplication.UI.GetAllSessions();
+        for (var i = 0; i < arrSessions.Length; i++)
+        {
+            if (!IsFakeWsSession(arrSessions[i]) || null == arrSessions[i]["x-ws-invalid"])
+            {
+                continue;
+            }
+            var envelopes = GetWsEnvelopes(arrSessions[i]);
+            for (var j = 0; j < envelopes.Count; j++)
+            {
+                var envelope: System.Collections.IDictionary = envelopes[j];
+                if (!envelope.Contains("validationErrors"))
+                {
+                    continue;
+                }
+                iFailures++;
+                oSB.AppendFormat("#{0} {1}.{2}\n", arrSessions[i].id, envelope["wsSession"], envelope["messageID"]);
+                var errors: System.Collections.IList = envelope["validationErrors"];
+                for (var k = 0; k < errors.Count; k++)
+                {
+                    oSB.AppendFormat("\t{0}\n", errors[k]);
+                }
+            }
+        }
+        return (iFailures == 0) ? "No WebSocket message failed validation."
+            : iFailures + " WebSocket message(s) failed validation:\n\n" + oSB.ToString();
+    }
+
+    //
+    // Request/response correlation, configured by Rules -> WebSocket Correlation.
+    // Client messages are remembered by their request id; when a server message
+    // carries the same id as its reply id, it is linked to the client message.
+    //
+    // Client messages waiting for a reply, keyed by "{wsSession}|{request id}"
+    static var pendingReplies = new System.Collections.Hashtable();
+
+    //
+    // The same WsPendingReply objects, oldest first. Requests that are never
+    // answered are forgotten after 5 minutes, or when more than 10,000 are
+    // waiting.
+    //
+    static var pendingReplyOrder = new System.Collections.Queue();
+    static var wsPendingReplyLimit = 10000;
+    static var wsPendingReplyMaxAge = TimeSpan.FromMinutes(5);
+
+    static function CorrelateMessage(partial: WsPartialMessage, envelope: System.Collections.IDictionary,
+        oFlags: System.Collections.Specialized.StringDictionary)
+    {
+        var paths = sWsCorrelation.Split("|".ToCharArray());
+        var path = (partial.direction == "Client" || paths.Length < 2) ? paths[0] : paths[1];
+
+        var ids = GetCorrelationIds(envelope["payload"], path.Trim());
+        for (var i = 0; i < ids.Count; i++)
+        {
+            var key = partial.wsSession + "|" + ids[i];
+            if (partial.direction == "Client")
+            {
+                AddPendingReply(key, partial);
+                continue;
+            }
+
+            var request: WsPendingReply = pendingReplies[key];
+            if (null != request)
+            {
+                pendingReplies.Remove(key);
+
+                var latency = System.Math.Round(
+                    partial.doneTime.Subtract(request.doneTime).TotalMilliseconds);
+                envelope["correlatesWith"] = request.messageID;
+                envelope["latencyMs"] = latency;
+                oFlags["x-ws-correlates-with"] = request.messageID;
+                oFlags["x-ws-latency"] = latency.ToString();
+                return;
+            }
+        }
+    }
+
+    static function AddPendingReply(key: String, partial: WsPartialMessage)
+    {
+        var pending = new WsPendingReply(key, partial.messageID, partial.doneTime);
+        pendingReplies[key] = pending;
+        pendingReplyOrder.Enqueue(pending);
+
+        while (pendingReplyOrder.Count > 0)
+        {
+            var oldest: WsPendingReply = pendingReplyOrder.Peek();
+            if (pendingReplyOrder.Count <= wsPendingReplyLimit &&
+                partial.doneTime.Subtract(oldest.doneTime) < wsPendingReplyMaxAge)
+            {
+                break;
+            }
+            pendingReplyOrder.Dequeue();
+            // Unless it was answered, or replaced by a later request with the same id
+            if (pendingReplies[oldest.key] == oldest)
+            {
+                pendingReplies.Remove(oldest.key);
+            }
+        }
+    }
+
+    //
+    // Ids found at the JSON path; when the payload is an array (e.g. SignalR
+    // records or a JSON-RPC batch) each of its items is looked at instead.
+    //
+    static function GetCorrelationIds(payload: Object, path: String): System.Collections.ArrayList
+    {
+        var ids = new System.Collections.ArrayList();
+        var id = WsJson.Select(payload, path);
+        if (null != id)
+        {
+            ids.Add(String(id));
+        }
+        else if (payload instanceof System.Collections.IList)
+        {
+            var items: System.Collections.IList = payload;
+            for (var i = 0; i < items.Count; i++)
+            {
+                id = WsJson.Select(items[i], path);
+                if (null != id)
+                {
+                    ids.Add(String(id));
+                }
+            }
+        }
+        return ids;
+    }
+
+    //
+    // Connection lifecycle. Each WebSocket connection gets a fake "open"
+    // session holding its handshake, and a fake "close" session holding the
+    // close code and reason with its message and byte counts. Every message
+    // links back to the "open" session, so a connection's traffic can be
+    // rebuilt from a saved SAZ file.
+    //
+    // WebSocket upgrade sessions (101 responses), keyed by session id
+    static var wsHandshakes = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    // WebSocket connections seen so far, keyed by wsSession (e.g. "WSSession58")
+    static var wsConnections = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    static function GetWsConnection(wsSession: String): WsConnection
+    {
+        var connection: WsConnection = wsConnections[wsSession];
+        if (null == connection)
+        {
+            connection = new WsConnection();
+            connection.wsSession = wsSession;
+            connection.sessionId = GetWsSessionId(wsSession);
+            connection.handshake = wsHandshakes[connection.sessionId];
+            if (null == connection.handshake)
+            {
+                // The upgrade happened before the script was (re)loaded
+                connection.handshake = FindSession(connection.sessionId);
+            }
+            wsHandshakes.Remove(connection.sessionId);
+
+            if (null != connection.handshake)
+            {
+                connection.host = GetWsHandshakeHost(connection.handshake);
+                connection.url = GetWsUrl(connection.handshake);
+                connection.socketIo = IsSocketIoUrl(connection.url);
+            }
+
+            var extensions = (null != connection.handshake)
+                ? connection.handshake.oResponse["Sec-WebSocket-Extensions"] : "";
+            connection.deflate = extensions.Contains("permessage-deflate");
+            connection.clientNoContextTakeover = extensions.Contains("client_no_context_takeover");
+            connection.serverNoContextTakeover = extensions.Contains("server_no_context_takeover");
+            connection.binaryDecoder = (null != connection.handshake)
+                ? GetSubprotocolDecoder(connection.handshake.oResponse["Sec-WebSocket-Protocol"]) : null;
+            wsConnections[wsSession] = connection;
+        }
+        return connection;
+    }
+
+    //
+    // The upgrade session of a connection. Unlike GetWsConnection, this can be
+    // used from OnWebSocketMessage, before the connection is first printed.
+    //
+    static function GetWsHandshake(wsSession: String): Session
+    {
+        var connection: WsConnection = wsConnections[wsSession];
+        return (null != connection) ? connection.handshake : wsHandshakes[GetWsSessionId(wsSession)];
+    }
+
+    // Unlike GetWsConnection, this does not bring back a connection that was already forgotten
+    static function GetWsHost(wsSession: String): String
+    {
+        var connection: WsConnection = wsConnections[wsSession];
+        return (null != connection) ? connection.host : "";
+    }
+
+    static function GetWsUrl(oSession: Session): String
+    {
+        var url = oSession["x-ws-original-url"];
+        if (null != url)
+        {
+            var uri = new Uri(url);
+            return ((uri.Scheme == "https") ? "wss://" : "ws://") + uri.Authority + uri.PathAndQuery;
+        }
+        return (oSession.isHTTPS ? "wss://" : "ws://") + oSession.host + oSession.PathAndQuery;
+    }
+
+    //
+    // An upgrade sent to the mock server (see RouteToWsMock) is shown,
+    // filtered and exported with the URL it was sent to, not the mock's
+    //
+    static function GetWsHandshakeUrl(oSession: Session): String
+    {
+        var url = oSession["x-ws-original-url"];
+        return (null != url) ? url : oSession.fullUrl;
+    }
+
+    static function GetWsHandshakeHost(oSession: Session): String
+    {
+        var url = oSession["x-ws-original-url"];
+        return (null != url) ? new Uri(url).Authority : oSession.host;
+    }
+
+    //
+    // The upgrade session id is the number in the wsSession, e.g. 58 in "WSSession58"
+    //
+    static function GetWsSessionId(wsSession: String): int
+    {
+        var match = System.Text.RegularExpressions.Regex.Match(wsSession, "\\d+");
+        return match.Success ? int.Parse(match.Value) : -1;
+    }
+
+    static function FindSession(sessionId: int): Session
+    {
+        var arrSessions: Session[] = FiddlerApplication.UI.GetAllSessions();
+        for (var i = 0; i < arrSessions.Length; i++)
+        {
+            if (arrSessions[i].id == sessionId)
+            {
+                return arrSessions[i];
+            }
+        }
+        return null;
+    }
+
+    // Data messages are counted once, on their final frame; Ping, Pong and Close frames apart
+    static function CountMessage(connection: WsConnection, oMsg: WebSocketMessage, direction: String)
+    {
+        var bytes = oMsg.PayloadLength;
+        var bControl = IsControlFrame(oMsg);
+        if (direction == "Client")
+        {
+            connection.clientBytes += bytes;
+            if (bControl) connection.clientControlFrames++;
+            else if (oMsg.IsFinalFrame) connection.clientMessages++;
+        }
+        else
+        {
+            connection.serverBytes += bytes;
+            if (bControl) connection.serverControlFrames++;
+            else if (oMsg.IsFinalFrame) connection.serverMessages++;
+        }
+    }
+
+    static function SendOpenSession(connection: WsConnection)
+    {
+        connection.opened = true;
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["event"] = "open";
+        envelope["wsSession"] = connection.wsSession;
+        envelope["sessionId"] = connection.sessionId;
+
+        var oSession: Session = connection.handshake;
+        if (null != oSession)
+        {
+            envelope["url"] = connection.url;
+            envelope["timestamp"] = oSession.Timers.ServerDoneResponse.ToString(wsTimestampFormat);
+            envelope["subprotocol"] = oSession.oResponse["Sec-WebSocket-Protocol"];
+            envelope["extensions"] = oSession.oResponse["Sec-WebSocket-Extensions"];
+            envelope["cookies"] = oSession.oRequest["Cookie"];
+            envelope["requestHeaders"] = GetHeaders(oSession.oRequest.headers);
+            envelope["responseStatus"] = oSession.oResponse.headers.HTTPResponseStatus;
+            envelope["responseHeaders"] = GetHeaders(oSession.oResponse.headers);
+        }
+        else
+        {
+            envelope["handshakeError"] = "The upgrade session was not found";
+        }
+
+        SendRequest(connection.wsSession + ".Open", WsJson.Stringify(envelope),
+            GetWsColumnFlags(connection.wsSession, null, "Open", -1));
+    }
+
+    static function SendCloseSession(connection: WsConnection, control: WsPartialMessage, direction: String)
+    {
+        connection.closed = true;
+
+        // Keep the .Close session after the connection's last messages
+        SendWsBatch(connection.wsSession);
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["event"] = "close";
+        envelope["wsSession"] = connection.wsSession;
+        envelope["openSession"] = GetFakeUrl(connection.wsSession + ".Open");
+        envelope["closedBy"] = direction;
+        envelope["closeTime"] = control.doneTime.ToString("hh:mm:ss.fff");
+        envelope["timestamp"] = control.doneTime.ToString(wsTimestampFormat);
+
+        var closeInfo = DecodeClosePayload(control.payload.ToArray());
+        for (var entry in closeInfo)
+        {
+            envelope[entry.Key] = entry.Value;
+        }
+
+        var messageCount = new System.Collections.Specialized.OrderedDictionary();
+        messageCount["Client"] = connection.clientMessages;
+        messageCount["Server"] = connection.serverMessages;
+        envelope["messageCount"] = messageCount;
+
+        var controlFrameCount = new System.Collections.Specialized.OrderedDictionary();
+        controlFrameCount["Client"] = connection.clientControlFrames;
+        controlFrameCount["Server"] = connection.serverControlFrames;
+        envelope["controlFrameCount"] = controlFrameCount;
+
+        var byteCount = new System.Collections.Specialized.OrderedDictionary();
+        byteCount["Client"] = connection.clientBytes;
+        byteCount["Server"] = connection.serverBytes;
+        envelope["byteCount"] = byteCount;
+        envelope["totalBytes"] = connection.clientBytes + connection.serverBytes;
+        if (null != wsDroppedFramesByConnection[connection.wsSession])
+        {
+            envelope["droppedFrames"] = wsDroppedFramesByConnection[connection.wsSession];
+        }
+
+        SendRequest(connection.wsSession + ".Close", WsJson.Stringify(envelope),
+            GetWsColumnFlags(connection.wsSession, direction, "Close", control.payload.Length));
+    }
+
+    //
+    // Called after each flush. A connection whose tunnel has closed (seen on
+    // two flushes in a row, so its last frames have been printed) gets its
+    // .Close session if it ended without a Close frame, as 1006 Abnormal
+    // Closure with a null closedBy, and is then forgotten. Upgrades that never
+    // carried a message are forgotten once their tunnel closes.
+    //
+    static function CloseEndedWsConnections()
+    {
+        var connections = new System.Collections.ArrayList(wsConnections.Values);
+        for (var i = 0; i < connections.Count; i++)
+        {
+            var connection: WsConnection = connections[i];
+            var bEnded = (null != connection.handshake)
+                ? !IsWsTunnelOpen(connection.handshake) : connection.closed;
+            if (!bEnded || !connection.endSeen)
+            {
+                connection.endSeen = bEnded;
+                continue;
+            }
+
+            FlushPartialMessages(connection.wsSession);
+            if (!connection.closed)
+            {
+                if (m_WsSummarizeHeartbeats)
+                {
+                    SendHeartbeatSummary(connection);
+                }
+                var control = new WsPartialMessage();
+                control.wsSession = connection.wsSession;
+                control.messageType = WebSocketFrameTypes.Close.ToString();
+                control.doneTime = DateTime.Now;
+                control.payload.WriteByte(byte(1006 >> 8));
+                control.payload.WriteByte(byte(1006 & 0xFF));
+                SendCloseSession(connection, control, null);
+            }
+            ForgetWsConnection(connection.wsSession);
+        }
+
+        var handshakes = new System.Collections.ArrayList(wsHandshakes.Values);
+        for (var i = 0; i < handshakes.Count; i++)
+        {
+            var oSession: Session = handshakes[i];
+            if (null != oSession.__oTunnel && !oSession.__oTunnel.IsOpen)
+            {
+                wsHandshakes.Remove(oSession.id);
+                wsNetworkStates.Remove("WSSession" + oSession.id);
+            }
+        }
+    }
+
+    static function IsWsTunnelOpen(oSession: Session): boolean
+    {
+        return null != oSession.__oTunnel && oSession.__oTunnel.IsOpen;
+    }
+
+    static function ForgetWsConnection(wsSession: String)
+    {
+        wsConnections.Remove(wsSession);
+        wsNetworkStates.Remove(wsSession);
+        wsDroppedFramesByConnection.Remove(wsSession);
+        wsFragmentsInFlight.Remove(wsSession + ".Client");
+        wsFragmentsInFlight.Remove(wsSession + ".Server");
+    }
+
+    //
+    // A Close payload is a 2-byte status code followed by a UTF-8 reason.
+    // An empty payload means no status code was sent (1005).
+    //
+    static function DecodeClosePayload(bytes: byte[]): System.Collections.Specialized.OrderedDictionary
+    {
+        var closeCode = (bytes.Length < 2) ? 1005 : ((bytes[0] << 8) | bytes[1]);
+
+        var closeInfo = new System.Collections.Specialized.OrderedDictionary();
+        closeInfo["closeCode"] = closeCode;
+        closeInfo["closeCodeName"] = GetCloseCodeName(closeCode);
+        closeInfo["closeReason"] = (bytes.Length < 2) ? ""
+            : System.Text.Encoding.UTF8.GetString(bytes, 2, bytes.Length - 2);
+        return closeInfo;
+    }
+
+    static function GetCloseCodeName(closeCode: int): String
+    {
+        switch (closeCode)
+        {
+        case 1000: return "Normal Closure";
+        case 1001: return "Going Away";
+        case 1002: return "Protocol Error";
+        case 1003: return "Unsupported Data";
+        case 1005: return "No Status Received";
+        case 1006: return "Abnormal Closure";
+        case 1007: return "Invalid Payload Data";
+        case 1008: return "Policy Violation";
+        case 1009: return "Message Too Big";
+        case 1010: return "Mandatory Extension";
+        case 1011: return "Internal Error";
+        case 1012: return "Service Restart";
+        case 1013: return "Try Again Later";
+        case 1014: return "Bad Gateway";
+        case 1015: return "TLS Handshake";
+        }
+        if (closeCode >= 3000 && closeCode < 4000) return "Registered";
+        if (closeCode >= 4000 && closeCode < 5000) return "Private Use";
+        return "Unknown";
+    }
+
+    //
+    // Heartbeats: WebSocket Ping/Pong frames, Engine.IO ping/pong packets and
+    // ASP.NET Core SignalR Ping messages. They can be hidden, or collapsed into
+    // a summary session per connection every heartbeatSummarySeconds.
+    //
+    static var heartbeatSummarySeconds = 30;
+    static var nextHeartbeatSummary: DateTime = DateTime.Now;
+
+    // Returns "ping", "pong" or null when the message is not a heartbeat
+    static function GetHeartbeatType(partial: WsPartialMessage, envelope: System.Collections.IDictionary): String
+    {
+        if (partial.messageType == WebSocketFrameTypes.Ping.ToString()) return "ping";
+        if (partial.messageType == WebSocketFrameTypes.Pong.ToString()) return "pong";
+
+        if (envelope.Contains("socketIo"))
+        {
+            var engineType = envelope["socketIo"]["engineType"];
+            if (engineType == "ping" || engineType == "pong") return engineType;
+        }
+
+        if (envelope.Contains("signalR"))
+        {
+            var summaries: System.Collections.ArrayList = envelope["signalR"];
+            if (summaries.Count == 1 && summaries[0]["messageType"] == "Ping") return "ping";
+        }
+        return null;
+    }
+
+    //
+    // Count a heartbeat; a pong answering a ping from the other side gives
+    // the round-trip time.
+    //
+    static function CountHeartbeat(partial: WsPartialMessage, heartbeat: String)
+    {
+        var connection: WsConnection = wsConnections[partial.wsSession];
+        if (null == connection)
+        {
+            return;
+        }
+
+        if (heartbeat == "ping")
+        {
+            connection.heartbeatPings++;
+            connection.lastPingDirection = partial.direction;
+            connection.lastPingTime = partial.doneTime;
+        }
+        else
+        {
+            connection.heartbeatPongs++;
+            if (null != connection.lastPingDirection &&
+                connection.lastPingDirection != partial.direction)
+            {
+                connection.heartbeatRttTotal +=
+                    partial.doneTime.Subtract(connection.lastPingTime).TotalMilliseconds;
+                connection.heartbeatRttCount++;
+                connection.lastPingDirection = null;
+            }
+        }
+    }
+
+    static function SendHeartbeatSummaries()
+    {
+        for (var entry in wsConnections)
+        {
+            SendHeartbeatSummary(entry.Value);
+        }
+        nextHeartbeatSummary = DateTime.Now.AddSeconds(heartbeatSummarySeconds);
+    }
+
+    static function SendHeartbeatSummary(connection: WsConnection)
+    {
+        if (connection.heartbeatPings + connection.heartbeatPongs == 0)
+        {
+            return;
+        }
+
+        var summary = String.Format("{0} pings, {1} pongs", connection.heartbeatPings,
+            connection.heartbeatPongs);
+        var avgRtt = -1;
+        if (connection.heartbeatRttCount > 0)
+        {
+            avgRtt = System.Math.Round(connection.heartbeatRttTotal / connection.heartbeatRttCount);
+            summary += String.Format(", avg RTT {0}ms", avgRtt);
+        }
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["event"] = "heartbeats";
+        envelope["wsSession"] = connection.wsSession;
+        envelope["openSession"] = GetFakeUrl(connection.wsSession + ".Open");
+        envelope["summary"] = summary;
+        envelope["pings"] = connection.heartbeatPings;
+        envelope["pongs"] = connection.heartbeatPongs;
+        if (avgRtt >= 0)
+        {
+            envelope["avgRttMs"] = avgRtt;
+        }
+
+        connection.heartbeatPings = 0;
+        connection.heartbeatPongs = 0;
+        connection.heartbeatRttTotal = 0;
+        connection.heartbeatRttCount = 0;
+
+        SendRequest(connection.wsSession + ".Heartbeats", WsJson.Stringify(envelope), null);
+    }
+
+    static function GetHeaders(headers: HTTPHeaders): System.Collections.Specialized.OrderedDictionary
+    {
+        var result = new System.Collections.Specialized.OrderedDictionary();
+        for (var header in headers)
+        {
+            result[header.Name] = result.Contains(header.Name)
+                ? result[header.Name] + ", " + header.Value : header.Value;
+        }
+        return result;
+    }
+
+    //
+    // permessage-deflate. When the extension was negotiated, messages whose
+    // first frame has the RSV1 bit set are compressed. Unless
+    // {client|server}_no_context_takeover was negotiated, the sliding window
+    // of each direction carries over from one message to the next, so one
+    // inflater is kept per connection and direction.
+    //
+    // If this version of Fiddler does not keep the RSV bits where we look for
+    // them, no message is treated as compressed: compressed ones are shown as
+    // raw bytes, but uncompressed ones are still decoded and the inflaters
+    // are never fed a message they did not see compressed.
+    //
+    static var wsRsvFlagsMissingReported = false;
+
+    static function IsCompressedMessage(oMsg: WebSocketMessage, wsSession: String): boolean
+    {
+        var connection: WsConnection = wsConnections[wsSession];
+        if (null == connection || !connection.deflate)
+        {
+            return false;
+        }
+
+        // WebSocketMessage does not expose the RSV bits; read them if we can
+        var field = oMsg.GetType().GetField("_byteReservedFlags",
+            System.Reflection.BindingFlags.Instance | System.Reflection.BindingFlags.NonPublic);
+        if (null == field)
+        {
+            if (!wsRsvFlagsMissingReported)
+            {
+                wsRsvFlagsMissingReported = true;
+                FiddlerApplication.Log.LogString(
+                    "permessage-deflate: the RSV1 bit of WebSocket frames cannot be read, compressed messages are not inflated");
+            }
+            return false;
+        }
+        return (Convert.ToInt32(field.GetValue(oMsg)) & 0x4) != 0;
+    }
+
+    //
+    // Replace the payload with its inflated bytes. Returns an error message
+    // (and leaves the payload as it was) when the payload cannot be inflated.
+    //
+    static function InflatePayload(partial: WsPartialMessage): String
+    {
+        var connection: WsConnection = wsConnections[partial.wsSession];
+        var isClient = partial.direction == "Client";
+        var noContextTakeover = isClient
+            ? connection.clientNoContextTakeover : connection.serverNoContextTakeover;
+
+        var contextLostAt = isClient ? connection.clientContextLostAt : connection.serverContextLostAt;
+        if (!noContextTakeover && contextLostAt >= 0 && partial.frameID > contextLostAt)
+        {
+            return "an earlier compressed message was dropped from the full queue, the compression context is lost";
+        }
+
+        var inflater: WsInflater = isClient ? connection.clientInflater : connection.serverInflater;
+        if (null == inflater || noContextTakeover)
+        {
+            inflater = new WsInflater();
+        }
+
+        try
+        {
+            var inflated: byte[] = inflater.Inflate(partial.payload.ToArray());
+            partial.payload = new System.IO.MemoryStream(inflated);
+            partial.inflated = true;
+        }
+        catch (e: Exception)
+        {
+            // The sliding window is lost, start again with the next message
+            inflater = null;
+            return e.Message;
+        }
+        finally
+        {
+            if (isClient)
+                connection.clientInflater = inflater;
+            else
+                connection.serverInflater = inflater;
+        }
+        return null;
+    }
+
+    //
+    // Message filters, set with the wsfilter / wsexclude QuickExec commands.
+    // A message gets a fake session only if it matches every include filter
+    // and none of the exclude filters. The lists are replaced, never changed,
+    // so they can be read while QuickExec updates them.
+    //
+    static var wsIncludeFilters = new System.Collections.ArrayList();
+    static var wsExcludeFilters = new System.Collections.ArrayList();
+
+    //
+    // Criteria: host:<text>, url:<text>, dir:<client|server>,
+    // type:<text|binary|close|ping|pong>, json:<path>[=<value>], or a payload
+    // regex, optionally written as re:<regex>
+    //
+    static function ParseWsFilter(text: String): WsFilter
+    {
+        var filter = new WsFilter();
+        filter.text = text;
+
+        var match = System.Text.RegularExpressions.Regex.Match(text,
+            "^(host|url|dir|type|json|re):(.*)$",
+            System.Text.RegularExpressions.RegexOptions.IgnoreCase);
+        filter.field = match.Success ? match.Groups[1].Value.ToLower() : "re";
+        filter.value = match.Success ? match.Groups[2].Value : text;
+
+        if (filter.field == "re")
+        {
+            filter.regex = new System.Text.RegularExpressions.Regex(filter.value);
+        }
+        else if (filter.field == "json")
+        {
+            var index = filter.value.IndexOf("=");
+            filter.path = (index < 0) ? filter.value : filter.value.Substring(0, index);
+            filter.value = (index < 0) ? null : filter.value.Substring(index + 1);
+        }
+        return filter;
+    }
+
+    static function PassesWsFilters(partial: WsPartialMessage, envelope: System.Collections.IDictionary): boolean
+    {
+        var includeFilters = wsIncludeFilters;
+        var excludeFilters = wsExcludeFilters;
+        var i;
+
+        for (i = 0; i < includeFilters.Count; i++)
+        {
+            if (!MatchesWsFilter(includeFilters[i], partial, envelope)) return false;
+        }
+        for (i = 0; i < excludeFilters.Count; i++)
+        {
+            if (MatchesWsFilter(excludeFilters[i], partial, envelope)) return false;
+        }
+        return true;
+    }
+
+    static function MatchesWsFilter(filter: WsFilter, partial: WsPartialMessage, envelope: System.Collections.IDictionary): boolean
+    {
+        var oHandshake = partial.imported ? null : GetWsHandshake(partial.wsSession);
+        switch (filter.field)
+        {
+        case "host":
+            return null != oHandshake &&
+                GetWsHandshakeHost(oHandshake).IndexOf(filter.value, StringComparison.OrdinalIgnoreCase) >= 0;
+        case "url":
+            return null != oHandshake &&
+                GetWsUrl(oHandshake).IndexOf(filter.value, StringComparison.OrdinalIgnoreCase) >= 0;
+        case "dir":
+            return String.Equals(partial.direction, filter.value, StringComparison.OrdinalIgnoreCase);
+        case "type":
+            return String.Equals(partial.messageType, filter.value, StringComparison.OrdinalIgnoreCase);
+        case "json":
+            var value = WsJson.Select(envelope["payload"], filter.path);
+            if (null == filter.value)
+            {
+                return null != value;
+            }
+            return null != value && (String(value) == filter.value ||
+                WsJson.Stringify(value) == filter.value);
+        default:
+            return null != partial.payloadString && filter.regex.IsMatch(partial.payloadString);
+        }
+    }
+
+    static function AddWsFilter(filters: System.Collections.ArrayList, text: String): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList(filters);
+        result.Add(ParseWsFilter(text));
+        return result;
+    }
+
+    static function DescribeWsFilters(): String
+    {
+        var oSB = new System.Text.StringBuilder();
+        var i;
+        oSB.AppendLine("Include (all must match):");
+        for (i = 0; i < wsIncludeFilters.Count; i++)
+        {
+            oSB.AppendFormat("\t{0}\n", wsIncludeFilters[i].text);
+        }
+        oSB.AppendLine("Exclude (any may match):");
+        for (i = 0; i < wsExcludeFilters.Count; i++)
+        {
+            oSB.AppendFormat("\t{0}\n", wsExcludeFilters[i].text);
+        }
+        oSB.AppendLine("Rewrite rules:");
+        for (i = 0; i < wsRewriteRules.Count; i++)
+        {
+            oSB.AppendFormat("\t{0} {1}\n",
+                (wsRewriteRules[i].kind == "replace") ? "wsreplace" : "wsjson", wsRewriteRules[i].text);
+        }
+        oSB.AppendLine("Color rules:");
+        for (i = 0; i < wsColorRules.Count; i++)
+        {
+            oSB.AppendFormat("\twscolor {0}\n", wsColorRules[i].text);
+        }
+        oSB.AppendLine("Ignored by diffs:");
+        for (i = 0; i < wsDiffIgnoredPaths.Count; i++)
+        {
+            oSB.AppendFormat("\twsdiffignore {0}\n", wsDiffIgnoredPaths[i].text);
+        }
+        oSB.AppendLine("Binary decoders:");
+        for (i = 0; i < wsDecoderRules.Count; i++)
+        {
+            oSB.AppendFormat("\twsdecode {0}\n", wsDecoderRules[i].text);
+        }
+        oSB.AppendLine();
+        oSB.Append("Criteria: host:<text> url:<text> dir:<client|server> type:<text|binary|...> json:<path>[=<value>] re:<regex>");
+        return oSB.ToString();
+    }
+
+    //
+    // WebSocket network conditions, set with the WebSocket Network Conditions
+    // rule or the wsnet QuickExec command, e.g.
+    // "latency=200 jitter=50 up=256 down=1024 drop=2 close=30s code=1011":
+    //   latency, jitter    ms added to each message (jitter: up to that much more)
+    //   up, down           kbit/s from the client / to the client
+    //   drop               percentage of data messages that are not forwarded
+    //   close, code        close the connection after that many data messages
+    //                      (or seconds, "30s") with the close code (default
+    //                      1001); 1006 cuts the connection without a Close frame
+    // Messages are held in OnWebSocketMessage, one after the other, so a
+    // burst queues up behind the messages before it as on a slow link.
+    // Messages are counted, and dropped, on their first frame; the rest of a
+    // fragmented message follows that frame. Messages are never dropped in a
+    // direction that compresses them with context takeover (permessage-deflate
+    // without <direction>_no_context_takeover), since the peer could not
+    // inflate anything after a missing message.
+    //
+    static var wsNetwork: WsNetworkProfile = null;
+
+    // Messages counted and forced closes done, by wsSession
+    static var wsNetworkStates = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    static var wsNetworkRandom = new System.Random();
+
+    static function GetWsNetworkProfile(): WsNetworkProfile
+    {
+        var spec = sWsNetworkConditions;
+        if (String.IsNullOrEmpty(spec))
+        {
+            return null;
+        }
+
+        var network = wsNetwork;
+        if (null == network || network.spec != spec)
+        {
+            try
+            {
+                network = ParseWsNetworkProfile(spec);
+            }
+            catch (e: Exception)
+            {
+                // Logged once; the conditions are ignored until they are fixed
+                FiddlerApplication.Log.LogString("WebSocket Network Conditions ignored: " + e.Message);
+                network = new WsNetworkProfile();
+                network.spec = spec;
+            }
+            wsNetwork = network;
+        }
+        return network;
+    }
+
+    static function ParseWsNetworkProfile(spec: String): WsNetworkProfile
+    {
+        var network = new WsNetworkProfile();
+        network.spec = spec;
+        var settings = spec.Split(" \t".ToCharArray(), StringSplitOptions.RemoveEmptyEntries);
+        for (var i = 0; i < settings.Length; i++)
+        {
+            var separator = settings[i].IndexOf("=");
+            if (separator < 1)
+            {
+                throw new Exception("expected <name>=<value> but found " + settings[i]);
+            }
+            var name = settings[i].Substring(0, separator).ToLowerInvariant();
+            var value = settings[i].Substring(separator + 1);
+            switch (name)
+            {
+            case "latency": network.latency = ParseWsNetworkValue(name, value); break;
+            case "jitter": network.jitter = ParseWsNetworkValue(name, value); break;
+            case "up": network.upKbps = ParseWsNetworkValue(name, value); break;
+            case "down": network.downKbps = ParseWsNetworkValue(name, value); break;
+            case "drop":
+                network.dropPercent = ParseWsNetworkValue(name, value);
+                if (network.dropPercent > 100) throw new Exception("drop must be a percentage");
+                break;
+            case "close":
+                if (value.EndsWith("s"))
+                {
+                    network.closeAfterSeconds = ParseWsNetworkValue(name, value.Substring(0, value.Length - 1));
+                }
+                else
+                {
+                    network.closeAfterMessages = ParseWsNetworkValue(name, value);
+                }
+                break;
+            case "code":
+                network.closeCode = ParseWsNetworkValue(name, value);
+                if (network.closeCode < 1000 || network.closeCode > 4999) throw new Exception("code must be a close code (1000-4999)");
+                break;
+            default:
+                throw new Exception("unknown setting " + name + " (expected latency, jitter, up, down, drop, close or code)");
+            }
+        }
+        return network;
+    }
+
+    static function ParseWsNetworkValue(name: String, value: String): int
+    {
+        var result = -1;
+        try
+        {
+            result = int.Parse(value);
+        }
+        catch (e: Exception)
+        {
+            // Reported below
+        }
+        if (result < 0)
+        {
+            throw new Exception(name + " must be a positive number, not " + value);
+        }
+        return result;
+    }
+
+    static function DescribeWsNetworkProfile(network: WsNetworkProfile): String
+    {
+        var oSB = new System.Text.StringBuilder();
+        if (network.latency > 0 || network.jitter > 0) oSB.AppendFormat(", {0}-{1} ms latency", network.latency, network.latency + network.jitter);
+        if (network.upKbps > 0) oSB.AppendFormat(", {0} kbit/s up", network.upKbps);
+        if (network.downKbps > 0) oSB.AppendFormat(", {0} kbit/s down", network.downKbps);
+        if (network.dropPercent > 0) oSB.AppendFormat(", {0}% dropped", network.dropPercent);
+        if (network.closeAfterMessages > 0) oSB.AppendFormat(", close ({0}) after {1} messages", network.closeCode, network.closeAfterMessages);
+        if (network.closeAfterSeconds > 0) oSB.AppendFormat(", close ({0}) after {1} s", network.closeCode, network.closeAfterSeconds);
+        return (oSB.Length > 0) ? oSB.ToString(2, oSB.Length - 2) : "no effect";
+    }
+
+    static function SimulateWsNetwork(oMsg: WebSocketMessage, network: WsNetworkProfile)
+    {
+        var wsSession = GetWsSession(oMsg);
+        var state = GetWsNetworkState(wsSession);
+        if (oMsg.FrameType == WebSocketFrameTypes.Close)
+        {
+            // Closed normally; no need to force it
+            state.closed = true;
+            return;
+        }
+
+        if (state.closed)
+        {
+            // Frames sent after a forced close are never delivered
+            if (!IsControlFrame(oMsg))
+            {
+                DropWsMessage(oMsg);
+            }
+            return;
+        }
+
+        if (!IsControlFrame(oMsg))
+        {
+            var bClient = oMsg.IsOutbound;
+            var bClose = false;
+            var bDrop = false;
+            var bRefused = false;
+            Monitor.Enter(state);
+            if (oMsg.FrameType == WebSocketFrameTypes.Continuation)
+            {
+                bDrop = bClient ? state.droppingClient : state.droppingServer;
+            }
+            else
+            {
+                var messageCount = ++state.messages;
+                bClose = network.closeAfterMessages > 0 && messageCount > network.closeAfterMessages;
+                bDrop = bClose;
+                if (!bDrop && network.dropPercent > 0 && NextWsNetworkRandom(100) < network.dropPercent)
+                {
+                    bRefused = bClient ? state.clientKeepsContext : state.serverKeepsContext;
+                    bDrop = !bRefused;
+                }
+                if (bClient)
+                    state.droppingClient = bDrop;
+                else
+                    state.droppingServer = bDrop;
+            }
+            var bReportRefused = bRefused && !state.dropRefusedReported;
+            if (bReportRefused)
+            {
+                state.dropRefusedReported = true;
+            }
+            Monitor.Exit(state);
+
+            if (bReportRefused)
+            {
+                FiddlerApplication.Log.LogString("WebSocket Network Conditions: messages of " + wsSession +
+                    " are not dropped, they are compressed with context takeover (permessage-deflate)");
+            }
+            if (bClose)
+            {
+                ForceCloseWsConnection(wsSession, state, network,
+                    String.Format("after {0} messages", network.closeAfterMessages));
+            }
+            if (bDrop)
+            {
+                DropWsMessage(oMsg);
+                return;
+            }
+        }
+
+        var delay = network.latency;
+        if (network.jitter > 0)
+        {
+            delay += NextWsNetworkRandom(network.jitter + 1);
+        }
+        var kbps = oMsg.IsOutbound ? network.upKbps : network.downKbps;
+        if (kbps > 0)
+        {
+            // 1 kbit/s carries one bit per ms
+            delay += int(oMsg.PayloadLength * 8 / kbps);
+        }
+        if (delay > 0)
+        {
+            System.Threading.Thread.Sleep(delay);
+        }
+    }
+
+    //
+    // Normally created by StartWsNetworkState when the upgrade completes, so
+    // "close=<n>s" also closes connections that never send anything; here
+    // only for connections opened before the script was (re)loaded
+    //
+    static function GetWsNetworkState(wsSession: String): WsNetworkState
+    {
+        Monitor.Enter(wsNetworkStates.SyncRoot);
+        var state: WsNetworkState = wsNetworkStates[wsSession];
+        if (null == state)
+        {
+            var oHandshake = GetWsHandshake(wsSession);
+            state = NewWsNetworkState(oHandshake,
+                (null != oHandshake) ? oHandshake.Timers.ClientDoneResponse : DateTime.Now);
+            wsNetworkStates[wsSession] = state;
+        }
+        Monitor.Exit(wsNetworkStates.SyncRoot);
+        return state;
+    }
+
+    static function StartWsNetworkState(oSession: Session)
+    {
+        wsNetworkStates["WSSession" + oSession.id] = NewWsNetworkState(oSession, DateTime.Now);
+    }
+
+    static function NewWsNetworkState(oHandshake: Session, opened: DateTime): WsNetworkState
+    {
+        var state = new WsNetworkState();
+        state.opened = opened;
+
+        var extensions = (null != oHandshake) ? oHandshake.oResponse["Sec-WebSocket-Extensions"] : "";
+        if (extensions.Contains("permessage-deflate"))
+        {
+            state.clientKeepsContext = !extensions.Contains("client_no_context_takeover");
+            state.serverKeepsContext = !extensions.Contains("server_no_context_takeover");
+        }
+        return state;
+    }
+
+    // System.Random is not thread-safe
+    static function NextWsNetworkRandom(maxValue: int): int
+    {
+        Monitor.Enter(wsNetworkRandom);
+        var value = wsNetworkRandom.Next(maxValue);
+        Monitor.Exit(wsNetworkRandom);
+        return value;
+    }
+
+    static function DropWsMessage(oMsg: WebSocketMessage)
+    {
+        var originalPayload: byte[] = oMsg.PayloadAsBytes();
+        oMsg.Abort();
+        RecordTampering(oMsg, "dropped", originalPayload);
+    }
+
+    //
+    // Connections open for longer than "close=<n>s" are closed by the flush
+    // timer, since they may not be sending anything
+    //
+    static function CloseExpiredWsConnections(network: WsNetworkProfile)
+    {
+        var expired = new System.Collections.ArrayList();
+        Monitor.Enter(wsNetworkStates.SyncRoot);
+        for (var entry in wsNetworkStates)
+        {
+            var state: WsNetworkState = entry.Value;
+            if (!state.closed && DateTime.Now.Subtract(state.opened).TotalSeconds >= network.closeAfterSeconds)
+            {
+                expired.Add(entry.Key);
+            }
+        }
+        Monitor.Exit(wsNetworkStates.SyncRoot);
+
+        for (var i = 0; i < expired.Count; i++)
+        {
+            ForceCloseWsConnection(expired[i], wsNetworkStates[expired[i]], network,
+                String.Format("after {0} seconds", network.closeAfterSeconds));
+        }
+    }
+
+    //
+    // Send each side a Close frame, as if the other side had closed the
+    // connection, or just cut it for 1006 (Abnormal Closure). Fiddler does
+    // not capture frames it did not relay, so a fake .SimulatedClose session
+    // records what was done.
+    //
+    static function ForceCloseWsConnection(wsSession: String, state: WsNetworkState, network: WsNetworkProfile, cause: String)
+    {
+        Monitor.Enter(state);
+        var bClosed = state.closed;
+        state.closed = true;
+        Monitor.Exit(state);
+        if (bClosed)
+        {
+            return;
+        }
+
+        var closeInfo = new System.Collections.Specialized.OrderedDictionary();
+        closeInfo["closeCode"] = network.closeCode;
+        closeInfo["closeCodeName"] = GetCloseCodeName(network.closeCode);
+        closeInfo["closeReason"] = (network.closeCode == 1006) ? "" : "Simulated network conditions";
+        try
+        {
+            var tunnel = GetWsTunnel(wsSession);
+            if (network.closeCode == 1006)
+            {
+                tunnel.CloseTunnel();
+            }
+            else
+            {
+                var payload = BuildClosePayload(closeInfo);
+                GetWsPipe(tunnel, true, wsSession).Send(BuildWebSocketFrame(0x8, payload, true));
+                GetWsPipe(tunnel, false, wsSession).Send(BuildWebSocketFrame(0x8, payload, false));
+            }
+        }
+        catch (e: Exception)
+        {
+            FiddlerApplication.Log.LogString("WebSocket Network Conditions: " + wsSession + " was not closed, " + e.Message);
+            return;
+        }
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["event"] = "simulatedClose";
+        envelope["wsSession"] = wsSession;
+        envelope["openSession"] = GetFakeUrl(wsSession + ".Open");
+        envelope["closeTime"] = DateTime.Now.ToString("hh:mm:ss.fff");
+        envelope["timestamp"] = DateTime.Now.ToString(wsTimestampFormat);
+        envelope["cause"] = cause;
+        for (var entry in closeInfo)
+        {
+            envelope[entry.Key] = entry.Value;
+        }
+        envelope["networkConditions"] = network.spec;
+
+        var oFlags = new System.Collections.Specialized.StringDictionary();
+        oFlags["ui-italic"] = "simulated";
+        oFlags["ui-color"] = "gray";
+        SendRequest(wsSession + ".SimulatedClose", WsJson.Stringify(envelope), oFlags);
+    }
+
+    //
+    // WebSocket breakpoints, set with the bpws QuickExec command. A matching
+    // message is held (together with everything behind it on its connection)
+    // while a dialog lets you edit its payload, drop it or release it. Only
+    // messages sent in a single frame can break: a frame of a fragmented
+    // message holds only part of it.
+    //
+    static var bpWebSocket: WsFilter = null;
+
+    // Frames edited or dropped before they were forwarded, keyed by WebSocketMessage
+    static var wsTampering = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    static function BreakOnWebSocketMessage(oMsg: WebSocketMessage)
+    {
+        if (!oMsg.IsFinalFrame || oMsg.FrameType == WebSocketFrameTypes.Continuation)
+        {
+            return;
+        }
+
+        var breakpoint = bpWebSocket;
+        var wsSession = GetWsSession(oMsg);
+        var direction = oMsg.IsOutbound ? "Client" : "Server";
+
+        //
+        // Not StartPartialMessage: that takes the frame's tampering record,
+        // which a rewrite rule may have left for ExtractSocketMessage
+        //
+        var originalPayload: byte[] = oMsg.PayloadAsBytes();
+        if (null == originalPayload)
+        {
+            originalPayload = new byte[0];
+        }
+        var partial = new WsPartialMessage();
+        partial.wsSession = wsSession;
+        partial.direction = direction;
+        partial.messageID = String.Format("{0}.{1}", direction, oMsg.ID);
+        partial.frameID = oMsg.ID;
+        partial.messageType = oMsg.FrameType.ToString();
+        partial.doneTime = oMsg.Timers.dtDoneRead;
+        partial.compressed = !IsControlFrame(oMsg) && IsCompressedMessage(oMsg, wsSession);
+        partial.payload = new System.IO.MemoryStream(originalPayload);
+        if (partial.compressed)
+        {
+            //
+            // The connection's inflater is only used when the message is
+            // printed, so match against a copy inflated on its own. That
+            // fails when the message refers back to earlier ones (context
+            // takeover); the compressed bytes are matched then.
+            //
+            try
+            {
+                partial.payload = new System.IO.MemoryStream(new WsInflater().Inflate(originalPayload));
+                partial.inflated = true;
+            }
+            catch (e: Exception)
+            {
+                // Matched as binary
+            }
+        }
+        DecodePayload(partial);
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["payload"] = partial.payloadString;
+        if (partial.payloadEncoding == "utf-8")
+        {
+            try
+            {
+                envelope["payload"] = WsJson.Parse(partial.payloadString);
+            }
+            catch (e: Exception)
+            {
+                // Matched as plain text
+            }
+        }
+
+        if (null == breakpoint || !MatchesWsFilter(breakpoint, partial, envelope))
+        {
+            return;
+        }
+
+        var editedPayload = ShowWsBreakpointDialog(
+            String.Format("{0}.{1} ({2})", wsSession, partial.messageID, partial.messageType),
+            partial);
+
+        if (null == editedPayload)
+        {
+            oMsg.Abort();
+            RecordTampering(oMsg, "dropped", originalPayload);
+        }
+        else if (!partial.compressed && editedPayload != partial.payloadString)
+        {
+            try
+            {
+                oMsg.SetPayload(PayloadStringToBytes(editedPayload, partial.payloadEncoding));
+                RecordTampering(oMsg, "edited", originalPayload);
+            }
+            catch (e: Exception)
+            {
+                FiddlerApplication.Log.LogString("WebSocket breakpoint: payload not changed, " + e.Message);
+            }
+        }
+    }
+
+    //
+    // Returns the payload to release, or null to drop the message.
+    // Compressed payloads can only be released or dropped. The dialog is
+    // shown on the UI thread while the capture thread waits for it.
+    //
+    static function ShowWsBreakpointDialog(title: String, partial: WsPartialMessage): String
+    {
+        var request = new WsBreakpointRequest(title, partial);
+        if (!FiddlerApplication.UI.InvokeRequired)
+        {
+            ShowWsBreakpointRequest(request);
+        }
+        else
+        {
+            var callback: WaitCallback = ShowWsBreakpointRequest;
+            var args: Object[] = new Object[1];
+            args[0] = request;
+            FiddlerApplication.UI.BeginInvoke(callback, args);
+            request.done.WaitOne();
+        }
+        request.done.Close();
+        return request.result;
+    }
+
+    static function ShowWsBreakpointRequest(state: Object)
+    {
+        var request: WsBreakpointRequest = state;
+        try
+        {
+            request.result = RunWsBreakpointDialog(request.title, request.partial);
+        }
+        catch (e: Exception)
+        {
+            FiddlerApplication.Log.LogString("WebSocket breakpoint: message released, " + e.Message);
+            request.result = request.partial.payloadString;
+        }
+        finally
+        {
+            request.done.Set();
+        }
+    }
+
+    static function RunWsBreakpointDialog(title: String, partial: WsPartialMessage): String
+    {
+        var oForm = new Form();
+        oForm.Text = "WebSocket Breakpoint: " + title;
+        oForm.Width = 640;
+        oForm.Height = 420;
+        oForm.StartPosition = FormStartPosition.CenterScreen;
+        oForm.TopMost = true;
+
+        var txtPayload = new TextBox();
+        txtPayload.Multiline = true;
+        txtPayload.ScrollBars = ScrollBars.Both;
+        txtPayload.WordWrap = false;
+        txtPayload.Dock = DockStyle.Fill;
+        txtPayload.Font = new System.Drawing.Font("Consolas", 10);
+        txtPayload.Text = partial.payloadString;
+        txtPayload.ReadOnly = partial.compressed;
+
+        var lblHint = new Label();
+        lblHint.Dock = DockStyle.Top;
+        lblHint.Text = partial.compressed
+            ? (partial.inflated
+                ? "This payload was inflated for display; it is sent compressed (permessage-deflate) and cannot be edited."
+                : "This payload is compressed (permessage-deflate) and cannot be edited.")
+            : String.Format("Edit the payload ({0}), then Release it or Drop it.", partial.payloadEncoding);
+
+        var pnlButtons = new FlowLayoutPanel();
+        pnlButtons.Dock = DockStyle.Bottom;
+        pnlButtons.FlowDirection = FlowDirection.RightToLeft;
+        pnlButtons.Height = 36;
+
+        var btnRelease = new Button();
+        btnRelease.Text = "&Release";
+        btnRelease.DialogResult = DialogResult.OK;
+        var btnDrop = new Button();
+        btnDrop.Text = "&Drop";
+        btnDrop.DialogResult = DialogResult.Abort;
+        pnlButtons.Controls.Add(btnRelease);
+        pnlButtons.Controls.Add(btnDrop);
+
+        oForm.Controls.Add(txtPayload);
+        oForm.Controls.Add(lblHint);
+        oForm.Controls.Add(pnlButtons);
+        oForm.AcceptButton = btnRelease;
+
+        // Closing the dialog releases the message
+        var bDrop = (oForm.ShowDialog(FiddlerApplication.UI) == DialogResult.Abort);
+        var edited = txtPayload.Text;
+        oForm.Dispose();
+
+        return bDrop ? null : edited;
+    }
+
+    //
+    // Keep the payload a frame had when it was captured, even if it is
+    // changed more than once (e.g. rewritten, then edited at a breakpoint).
+    //
+    static function RecordTampering(oMsg: WebSocketMessage, action: String, originalPayload: byte[])
+    {
+        var tampering: WsTampering = wsTampering[oMsg];
+        if (null == tampering)
+        {
+            wsTampering[oMsg] = new WsTampering(action, originalPayload);
+        }
+        else
+        {
+            tampering.action += "," + action;
+        }
+    }
+
+    //
+    // Rewrite rules, set with the wsreplace and wsjson QuickExec commands, are
+    // applied to Text messages before they are forwarded. Each rule may be
+    // scoped to a direction (client / server) and to a connection host.
+    // Only messages sent in a single frame are rewritten, since a frame of a
+    // fragmented message may end in the middle of a character, a match or a
+    // JSON value. Compressed messages are left alone. A JSON rule that does
+    // not change the value leaves the text as it was sent.
+    //
+    static var wsRewriteRules = new System.Collections.ArrayList();
+
+    static function RewriteWebSocketMessage(oMsg: WebSocketMessage)
+    {
+        var rules = wsRewriteRules;
+        if (oMsg.FrameType != WebSocketFrameTypes.Text || !oMsg.IsFinalFrame)
+        {
+            return;
+        }
+
+        var wsSession = GetWsSession(oMsg);
+        if (IsCompressedMessage(oMsg, wsSession))
+        {
+            return;
+        }
+
+        var direction = oMsg.IsOutbound ? "Client" : "Server";
+        var oHandshake = GetWsHandshake(wsSession);
+        var originalPayload: byte[] = oMsg.PayloadAsBytes();
+        var payload = System.Text.Encoding.UTF8.GetString(originalPayload);
+        var rewritten = payload;
+
+        for (var i = 0; i < rules.Count; i++)
+        {
+            var rule: WsRewriteRule = rules[i];
+            if ((null != rule.direction && rule.direction != direction) ||
+                (null != rule.host && (null == oHandshake ||
+                    GetWsHandshakeHost(oHandshake).IndexOf(rule.host, StringComparison.OrdinalIgnoreCase) < 0)))
+            {
+                continue;
+            }
+
+            if (rule.kind == "replace")
+            {
+                rewritten = rule.regex.Replace(rewritten, rule.replacement);
+            }
+            else
+            {
+                try
+                {
+                    var json = WsJson.Parse(rewritten);
+                    var before = WsJson.Stringify(json);
+                    json = (rule.kind == "set")
+                        ? WsJson.SetPath(json, rule.path, rule.value)
+                        : WsJson.DeletePath(json, rule.path);
+                    var after = WsJson.Stringify(json);
+                    if (after != before)
+                    {
+                        rewritten = after;
+                    }
+                }
+                catch (e: Exception)
+                {
+                    // Not JSON, this rule does not apply
+                }
+            }
+        }
+
+        if (rewritten != payload)
+        {
+            oMsg.SetPayload(System.Text.Encoding.UTF8.GetBytes(rewritten));
+            RecordTampering(oMsg, "rewritten", originalPayload);
+        }
+    }
+
+    //
+    // wsreplace [client|server] [host:<text>] <regex> <replacement>
+    // wsjson [client|server] [host:<text>] set <path> <json value>
+    // wsjson [client|server] [host:<text>] delete <path>
+    //
+    static function ParseWsRewriteRule(sParams: String[]): WsRewriteRule
+    {
+        var rule = new WsRewriteRule();
+        rule.text = String.Join(" ", sParams, 1, sParams.Length - 1);
+
+        var i = 1;
+        for (; i < sParams.Length; i++)
+        {
+            var scope = sParams[i].ToLower();
+            if (scope == "client" || scope == "server")
+            {
+                rule.direction = (scope == "client") ? "Client" : "Server";
+            }
+            else if (scope.StartsWith("host:"))
+            {
+                rule.host = sParams[i].Substring(5);
+            }
+            else
+            {
+                break;
+            }
+        }
+
+        var remaining = sParams.Length - i;
+        if (sParams[0].ToLower() == "wsreplace")
+        {
+            if (remaining != 2) throw new Exception("expected <regex> <replacement>");
+            rule.kind = "replace";
+            rule.regex = new System.Text.RegularExpressions.Regex(sParams[i]);
+            rule.replacement = sParams[i + 1];
+            return rule;
+        }
+
+        rule.kind = (remaining > 0) ? sParams[i].ToLower() : "";
+        if (rule.kind == "set" && remaining == 3)
+        {
+            rule.path = sParams[i + 1];
+            try
+            {
+                rule.value = WsJson.Parse(sParams[i + 2]);
+            }
+            catch (e: Exception)
+            {
+                rule.value = sParams[i + 2];
+            }
+            return rule;
+        }
+        if (rule.kind == "delete" && remaining == 2)
+        {
+            rule.path = sParams[i + 1];
+            return rule;
+        }
+        throw new Exception("expected set <path> <value> or delete <path>");
+    }
+
+    static function AddWsRewriteRule(sParams: String[]): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList(wsRewriteRules);
+        result.Add(ParseWsRewriteRule(sParams));
+        return result;
+    }
+
+    // Remove the regex rules (wsreplace) or the JSON rules (wsjson)
+    static function ClearWsRewriteRules(bRegexRules: boolean): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList();
+        for (var i = 0; i < wsRewriteRules.Count; i++)
+        {
+            if ((wsRewriteRules[i].kind == "replace") != bRegexRules)
+            {
+                result.Add(wsRewriteRules[i]);
+            }
+        }
+        return result;
+    }
+
+    //
+    // Injecting messages into live connections. Frames are written straight
+    // to the connection's client or server pipe, so Fiddler does not see them
+    // as captured messages; a fake session is created for each one instead.
+    //
+    static var injectedMessageCount = 0;
+
+    static function IsFakeWsSession(oSession: Session): boolean
+    {
+        return null != oSession["x-ws-fake"] || oSession.HostnameIs(GetWsFakeHost());
+    }
+
+    static function ReplayWebSocketMessage(oSession: Session): boolean
+    {
+        if (!IsFakeWsSession(oSession))
+        {
+            return false;
+        }
+
+        var envelope: System.Collections.IDictionary = WsJson.Parse(oSession.GetRequestBodyAsString());
+        if (!envelope.Contains("messageID") || envelope["payloadEncoding"] == "close")
+        {
+            return false;
+        }
+
+        // Control frames belong to the connection they were sent on
+        var messageType = String(envelope["messageType"]);
+        if (messageType != "Text" && messageType != "Binary")
+        {
+            throw new Exception(messageType + " frames cannot be replayed");
+        }
+        // The payload is still compressed, and could only be sent as such
+        if (envelope.Contains("inflateError"))
+        {
+            throw new Exception("the message could not be inflated: " + envelope["inflateError"]);
+        }
+
+        var bToServer = envelope["messageID"].ToString().StartsWith("Client");
+        var payload: byte[] = (envelope["payloadEncoding"] == "utf-8")
+            ? System.Text.Encoding.UTF8.GetBytes(GetWirePayload(envelope))
+            : PayloadStringToBytes(GetRawPayload(envelope), GetRawPayloadEncoding(envelope));
+
+        InjectWebSocketMessage(envelope["wsSession"], bToServer, messageType == "Text", payload);
+        return true;
+    }
+
+    //
+    // The text that was on the wire. Fake sessions of older versions of
+    // this script did not keep it in rawPayload, so it is rebuilt from the
+    // envelope: decoders may have split Socket.IO packets and SignalR
+    // records apart, and JSON is stringified again.
+    //
+    static function GetWirePayload(envelope: System.Collections.IDictionary): String
+    {
+        if (envelope.Contains("rawPayload") && envelope["rawPayloadEncoding"] == "utf-8")
+        {
+            return envelope["rawPayload"];
+        }
+
+        var payload = envelope["payload"];
+
+        if (envelope.Contains("socketIo") && envelope["socketIo"].Contains("engineType"))
+        {
+            return BuildSocketIoPacket(envelope["socketIo"], payload);
+        }
+        if (envelope.Contains("signalR") && (payload instanceof System.Collections.IList))
+        {
+            var records = new System.Text.StringBuilder();
+            for (var i = 0; i < payload.Count; i++)
+            {
+                // Records that were not JSON are kept as text
+                records.Append((typeof(payload[i]) == "string") ? payload[i] : WsJson.Stringify(payload[i]));
+                records.Append(String.fromCharCode(0x1E));
+            }
+            return records.ToString();
+        }
+        if (envelope.Contains("payloadParseError") || envelope.Contains("injected"))
+        {
+            return String(payload);
+        }
+        return WsJson.Stringify(payload);
+    }
+
+    // The payload before it was decoded: the text of a Text message, or the base64 or hex bytes of a Binary one
+    static function GetRawPayload(envelope: System.Collections.IDictionary): String
+    {
+        return envelope.Contains("rawPayload") ? envelope["rawPayload"] : envelope["payload"];
+    }
+
+    static function GetRawPayloadEncoding(envelope: System.Collections.IDictionary): String
+    {
+        return envelope.Contains("rawPayload") ? envelope["rawPayloadEncoding"] : envelope["payloadEncoding"];
+    }
+
+    static function BuildSocketIoPacket(socketIo: System.Collections.IDictionary, payload: Object): String
+    {
+        var packet = new System.Text.StringBuilder();
+        packet.Append(IndexOfName(engineIoPacketTypes, socketIo["engineType"]));
+
+        if (!socketIo.Contains("packetType"))
+        {
+            if (null != payload)
+            {
+                packet.Append((typeof(payload) == "string") ? payload : WsJson.Stringify(payload));
+            }
+            return packet.ToString();
+        }
+
+        packet.Append(IndexOfName(socketIoPacketTypes, socketIo["packetType"]));
+        if (socketIo.Contains("attachments"))
+        {
+            packet.AppendFormat("{0}-", socketIo["attachments"]);
+        }
+        if (socketIo["namespace"] != "/")
+        {
+            packet.AppendFormat("{0},", socketIo["namespace"]);
+        }
+        if (socketIo.Contains("ackId"))
+        {
+            packet.Append(socketIo["ackId"]);
+        }
+
+        if (socketIo.Contains("event"))
+        {
+            var args = new System.Collections.ArrayList();
+            args.Add(socketIo["event"]);
+            if (payload instanceof System.Collections.ICollection)
+            {
+                args.AddRange(payload);
+            }
+            packet.Append(WsJson.Stringify(args));
+        }
+        else if (null != payload && payload != "")
+        {
+            packet.Append(WsJson.Stringify(payload));
+        }
+        return packet.ToString();
+    }
+
+    static function IndexOfName(names: Array, name: Object): int
+    {
+        for (var i = 0; i < names.length; i++)
+        {
+            if (names[i] == name) return i;
+        }
+        return -1;
+    }
+
+    //
+    // The directions (wsSession.Client / wsSession.Server) whose current
+    // message has been started but not finished, as the frames are captured
+    //
+    static var wsFragmentsInFlight = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    static function TrackWsFragments(oMsg: WebSocketMessage)
+    {
+        var wsSession = GetWsSession(oMsg);
+        if (oMsg.FrameType == WebSocketFrameTypes.Close)
+        {
+            wsFragmentsInFlight.Remove(wsSession + ".Client");
+            wsFragmentsInFlight.Remove(wsSession + ".Server");
+        }
+        else if (!IsControlFrame(oMsg))
+        {
+            var key = wsSession + "." + (oMsg.IsOutbound ? "Client" : "Server");
+            if (oMsg.IsFinalFrame)
+                wsFragmentsInFlight.Remove(key);
+            else
+                wsFragmentsInFlight[key] = true;
+        }
+    }
+
+    //
+    // Send a message over a live connection: towards the server as if the
+    // client sent it (bToServer), or towards the client as if the server did.
+    //
+    // Fiddler's relay thread writes to the same pipe without any lock we can
+    // take, so an injected frame can still land between two relayed ones; a
+    // message is only refused while a fragmented one is known to be in
+    // flight in its direction, since the peer would reject a data frame
+    // between its fragments.
+    //
+    static function InjectWebSocketMessage(wsSession: String, bToServer: boolean, bText: boolean, payload: byte[])
+    {
+        if (wsFragmentsInFlight.Contains(wsSession + "." + (bToServer ? "Client" : "Server")))
+        {
+            throw new Exception("a fragmented message is being sent in that direction on " + wsSession + ", try again");
+        }
+
+        var pipe = GetWsPipe(GetWsTunnel(wsSession), bToServer, wsSession);
+
+        // Client-to-server frames must be masked
+        pipe.Send(BuildWebSocketFrame(bText ? 0x1 : 0x2, payload, bToServer));
+
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        var messageID = String.Format("{0}.injected{1}", bToServer ? "Client" : "Server",
+            ++injectedMessageCount);
+        envelope["doneTime"] = DateTime.Now.ToString("hh:mm:ss.fff");
+        envelope["timestamp"] = DateTime.Now.ToString(wsTimestampFormat);
+        envelope["messageType"] = bText ? "Text" : "Binary";
+        envelope["messageID"] = messageID;
+        envelope["wsSession"] = wsSession;
+        envelope["openSession"] = GetFakeUrl(wsSession + ".Open");
+        envelope["injected"] = true;
+        envelope["payloadEncoding"] = bText ? "utf-8" : "base64";
+        envelope["payload"] = BytesToPayloadString(payload, bText ? "utf-8" : "base64");
+        RecordHarMessage(GetWsHandshake(wsSession), bToServer, envelope["messageType"], DateTime.Now,
+            envelope["payload"]);
+
+        var oFlags = new System.Collections.Specialized.StringDictionary();
+        oFlags["x-ws-session"] = wsSession;
+        oFlags["ui-italic"] = "injected";
+        SendRequest(wsSession + "." + messageID, WsJson.Stringify(envelope), oFlags);
+    }
+
+    static function GetWsTunnel(wsSession: String)
+    {
+        var oHandshake = GetWsHandshake(wsSession);
+        if (null == oHandshake)
+        {
+            oHandshake = FindSession(GetWsSessionId(wsSession));
+        }
+        if (null == oHandshake || null == oHandshake.__oTunnel || !oHandshake.__oTunnel.IsOpen)
+        {
+            throw new Exception(wsSession + " is not an open WebSocket connection");
+        }
+        return oHandshake.__oTunnel;
+    }
+
+    // The tunnel does not expose its pipes, so find them by name
+    static function GetWsPipe(tunnel: Object, bToServer: boolean, wsSession: String)
+    {
+        var field = tunnel.GetType().GetField(bToServer ? "oSP" : "oCP",
+            System.Reflection.BindingFlags.Instance | System.Reflection.BindingFlags.NonPublic);
+        var pipe = (null != field) ? field.GetValue(tunnel) : null;
+        if (null == pipe)
+        {
+            throw new Exception("Cannot reach the " + (bToServer ? "server" : "client") + " side of " + wsSession);
+        }
+        return pipe;
+    }
+
+    static function BuildWebSocketFrame(opcode: int, payload: byte[], bMask: boolean): byte[]
+    {
+        var frame = new System.IO.MemoryStream();
+        frame.WriteByte(byte(0x80 | opcode));
+
+        var maskBit = bMask ? 0x80 : 0;
+        if (payload.Length < 126)
+        {
+            frame.WriteByte(byte(maskBit | payload.Length));
+        }
+        else if (payload.Length <= 0xFFFF)
+        {
+            frame.WriteByte(byte(maskBit | 126));
+            frame.WriteByte(byte(payload.Length >> 8));
+            frame.WriteByte(byte(payload.Length & 0xFF));
+        }
+        else
+        {
+            frame.WriteByte(byte(maskBit | 127));
+            for (var shift = 56; shift >= 0; shift -= 8)
+            {
+                frame.WriteByte(byte((long(payload.Length) >> shift) & 0xFF));
+            }
+        }
+
+        if (!bMask)
+        {
+            frame.Write(payload, 0, payload.Length);
+            return frame.ToArray();
+        }
+
+        var mask: byte[] = new byte[4];
+        new System.Random().NextBytes(mask);
+        frame.Write(mask, 0, mask.Length);
+        for (var i = 0; i < payload.Length; i++)
+        {
+            frame.WriteByte(byte(payload[i] ^ mask[i % 4]));
+        }
+        return frame.ToArray();
+    }
+
+    //
+    // WebSocket conversation files (JSON Lines). The first line identifies
+    // the format; each following line is one "open" (handshake), "message"
+    // or "close" record of a connection, in capture order:
+    //
+    // {"format":"websocket-conversation","version":1}
+    // {"type":"open","wsSession":"WSSession58","time":"...","url":"wss://...","subprotocol":..,
+    //  "extensions":..,"requestHeaders":{..},"responseStatus":"101 ...","responseHeaders":{..}}
+    // {"type":"message","wsSession":"WSSession58","time":"...","direction":"client",
+    //  "frameType":"Text","payloadEncoding":"utf-8","payload":"..."}
+    // {"type":"close","wsSession":"WSSession58","time":"...","closedBy":"Server",
+    //  "closeCode":1000,"closeReason":""}
+    //
+    // Message payloads are the bytes that were on the wire: the text of Text
+    // frames (payloadEncoding "utf-8"), base64 or hex for other frames.
+    // Times are local with millisecond precision and a UTC offset.
+    //
+    static var wsTimestampFormat = "yyyy-MM-dd'T'HH:mm:ss.fffzzz";
+    static var wsConversationFormat = "websocket-conversation";
+
+    //
+    // Export the connections the given sessions belong to, i.e. every fake
+    // session of each connection that has a fake session among them
+    //
+    static function ExportWsConversation(oSessions: Session[], sFilename: String): int
+    {
+        var wsSessions = new System.Collections.Hashtable();
+        var i;
+        for (i = 0; i < oSessions.Length; i++)
+        {
+            if (IsFakeWsSession(oSessions[i]))
+            {
+                wsSessions[WsJson.Parse(oSessions[i].GetRequestBodyAsString())["wsSession"]] = true;
+            }
+        }
+
+        var header = new System.Collections.Specialized.OrderedDictionary();
+        header["format"] = wsConversationFormat;
+        header["version"] = 1;
+        header["exported"] = DateTime.Now.ToString(wsTimestampFormat);
+
+        var iRecords = 0;
+        var writer = new System.IO.StreamWriter(sFilename, false, new System.Text.UTF8Encoding(false));
+        try
+        {
+            writer.WriteLine(WsJson.Stringify(header));
+
+            var arrSessions: Session[] = FiddlerApplication.UI.GetAllSessions();
+            for (i = 0; i < arrSessions.Length; i++)
+            {
+                if (!IsFakeWsSession(arrSessions[i]))
+                {
+                    continue;
+                }
+                var envelopes = GetWsEnvelopes(arrSessions[i]);
+                for (var j = 0; j < envelopes.Count; j++)
+                {
+                    if (!wsSessions.ContainsKey(envelopes[j]["wsSession"]))
+                    {
+                        continue;
+                    }
+
+                    var record = GetWsConversationRecord(arrSessions[i], envelopes[j]);
+                    if (null != record)
+                    {
+                        writer.WriteLine(WsJson.Stringify(record));
+                        iRecords++;
+                    }
+                }
+            }
+        }
+        finally
+        {
+            writer.Close();
+        }
+        return iRecords;
+    }
+
+    static function GetWsConversationRecord(oSession: Session, envelope: System.Collections.IDictionary):
+        System.Collections.Specialized.OrderedDictionary
+    {
+        var record = new System.Collections.Specialized.OrderedDictionary();
+        var eventType = envelope.Contains("messageID") ? "message" : envelope["event"];
+        if (eventType != "message" && eventType != "open" && eventType != "close")
+        {
+            // e.g. heartbeat summaries
+            return null;
+        }
+
+        record["type"] = eventType;
+        record["wsSession"] = envelope["wsSession"];
+        // Sessions captured before timestamps were recorded fall back to the fake session's time
+        record["time"] = envelope.Contains("timestamp") ? envelope["timestamp"]
+            : oSession.Timers.ClientBeginRequest.ToString(wsTimestampFormat);
+
+        var keys = (eventType == "open")
+            ? ["url", "subprotocol", "extensions", "cookies", "requestHeaders", "responseStatus", "responseHeaders"]
+            : ["closedBy", "closeCode", "closeCodeName", "closeReason"];
+        if (eventType == "message")
+        {
+            record["direction"] = envelope["messageID"].ToString().StartsWith("Client") ? "client" : "server";
+            record["frameType"] = envelope["messageType"];
+            if (envelope["payloadEncoding"] == "close")
+            {
+                record["payloadEncoding"] = "base64";
+                record["payload"] = Convert.ToBase64String(BuildClosePayload(envelope["payload"]));
+            }
+            else
+            {
+                record["payloadEncoding"] = GetRawPayloadEncoding(envelope);
+                record["payload"] = (envelope["payloadEncoding"] == "utf-8")
+                    ? GetWirePayload(envelope) : GetRawPayload(envelope);
+            }
+            if (envelope.Contains("incomplete"))
+            {
+                record["incomplete"] = true;
+            }
+            return record;
+        }
+
+        for (var i = 0; i < keys.length; i++)
+        {
+            if (envelope.Contains(keys[i]))
+            {
+                record[keys[i]] = envelope[keys[i]];
+            }
+        }
+        return record;
+    }
+
+    static function BuildClosePayload(closeInfo: System.Collections.IDictionary): byte[]
+    {
+        var closeCode = int(closeInfo["closeCode"]);
+        if (closeCode == 1005)
+        {
+            return new byte[0];
+        }
+
+        var reason: byte[] = System.Text.Encoding.UTF8.GetBytes(String(closeInfo["closeReason"]));
+        var bytes: byte[] = new byte[reason.Length + 2];
+        bytes[0] = byte(closeCode >> 8);
+        bytes[1] = byte(closeCode & 0xFF);
+        Array.Copy(reason, 0, bytes, 2, reason.Length);
+        return bytes;
+    }
+
+    static function ReadWsConversation(sFilename: String): System.Collections.ArrayList
+    {
+        var lines = System.IO.File.ReadAllLines(sFilename);
+        var records = new System.Collections.ArrayList();
+        for (var i = 0; i < lines.Length; i++)
+        {
+            if (lines[i].Trim() == "")
+            {
+                continue;
+            }
+            var record: System.Collections.IDictionary = WsJson.Parse(lines[i]);
+            if (records.Count == 0 && record["format"] != wsConversationFormat)
+            {
+                throw new Exception("Not a WebSocket conversation file");
+            }
+            records.Add(record);
+        }
+        if (records.Count == 0)
+        {
+            throw new Exception("Empty WebSocket conversation file");
+        }
+        records.RemoveAt(0);
+        return records;
+    }
+
+    //
+    // Turn a conversation back into fake sessions. Messages go through the
+    // same decoding as captured ones (SignalR, Socket.IO, correlation, ...).
+    //
+    static function ImportWsConversation(records: System.Collections.ArrayList): int
+    {
+        Monitor.Enter(wsDispatchLock);
+        try
+        {
+            ImportWsRecords(records);
+        }
+        finally
+        {
+            Monitor.Exit(wsDispatchLock);
+        }
+        return records.Count;
+    }
+
+    static function ImportWsRecords(records: System.Collections.ArrayList)
+    {
+        var messageCounts = new System.Collections.Hashtable();
+        for (var i = 0; i < records.Count; i++)
+        {
+            var record: System.Collections.IDictionary = records[i];
+            var wsSession: String = record["wsSession"];
+            if (record["type"] != "message")
+            {
+                var envelope = new System.Collections.Specialized.OrderedDictionary();
+                envelope["event"] = record["type"];
+                envelope["wsSession"] = wsSession;
+                if (record["type"] == "close")
+                {
+                    envelope["openSession"] = GetFakeUrl(wsSession + ".Open");
+                }
+                envelope["timestamp"] = record["time"];
+                for (var entry in record)
+                {
+                    if (entry.Key != "type" && entry.Key != "wsSession" && entry.Key != "time")
+                    {
+                        envelope[entry.Key] = entry.Value;
+                    }
+                }
+                envelope["imported"] = true;
+                SendRequest(wsSession + ((record["type"] == "open") ? ".Open" : ".Close"),
+                    WsJson.Stringify(envelope), null);
+                continue;
+            }
+
+            var partial = new WsPartialMessage();
+            partial.wsSession = wsSession;
+            partial.direction = (record["direction"] == "client") ? "Client" : "Server";
+            partial.messageType = record["frameType"];
+            partial.doneTime = DateTime.Parse(record["time"]);
+            partial.payload = new System.IO.MemoryStream(
+                PayloadStringToBytes(record["payload"], record["payloadEncoding"]));
+            partial.partCount = 1;
+            partial.imported = true;
+
+            var countKey = wsSession + "." + partial.direction;
+            messageCounts[countKey] = ((null != messageCounts[countKey]) ? messageCounts[countKey] : 0) + 1;
+            partial.messageID = partial.direction + "." + messageCounts[countKey];
+
+            SendPartialMessage(partial, true == record["incomplete"]);
+        }
+    }
+
+    //
+    // Build mocks that play the server side of a conversation back: the
+    // server messages sent before the first client message become OnConnect
+    // replies, and each client message is answered with the server messages
+    // that followed it, each delayed by its time since that client message.
+    // Each connection's URL gets its own mock. Client messages match when
+    // they hold the same JSON (however it is formatted) or the same text,
+    // and the rules are used in order, so a repeated message (a ping, a
+    // poll) gets the replies recorded for that turn.
+    //
+    static function BuildWsConversationMocks(records: System.Collections.ArrayList): System.Collections.ArrayList
+    {
+        var mocks = new System.Collections.ArrayList();
+        var mocksBySession = new System.Collections.Hashtable();
+        var triggerTimes = new System.Collections.Hashtable();
+        var replyLists = new System.Collections.Hashtable();
+
+        for (var i = 0; i < records.Count; i++)
+        {
+            var record: System.Collections.IDictionary = records[i];
+            var wsSession: String = record["wsSession"];
+            var mock: WsMock = mocksBySession[wsSession];
+
+            if (record["type"] == "open")
+            {
+                mock = new WsMock();
+                mock.match = "EXACT:" + record["url"];
+                mock.onConnect = new System.Collections.ArrayList();
+                mock.pushes = new System.Collections.ArrayList();
+                mock.sequential = true;
+                mocks.Add(mock);
+                mocksBySession[wsSession] = mock;
+                replyLists[wsSession] = mock.onConnect;
+                triggerTimes[wsSession] = DateTime.Parse(record["time"]);
+                continue;
+            }
+            if (null == mock || record["type"] != "message" ||
+                (record["frameType"] != "Text" && record["frameType"] != "Binary"))
+            {
+                continue;
+            }
+
+            // The mock server reads and sends Binary messages as base64
+            var time = DateTime.Parse(record["time"]);
+            var payload: String = (record["payloadEncoding"] == "hex")
+                ? Convert.ToBase64String(PayloadStringToBytes(record["payload"], "hex")) : record["payload"];
+            if (record["direction"] == "client")
+            {
+                var rule = new WsMockRule();
+                rule.expected = payload;
+                rule.expectedJson = ParseWsMockJson(payload);
+                rule.replies = new System.Collections.ArrayList();
+                mock.rules.Add(rule);
+                replyLists[wsSession] = rule.replies;
+                triggerTimes[wsSession] = time;
+            }
+            else
+            {
+                var triggerTime: DateTime = triggerTimes[wsSession];
+                var reply = new WsMockReply();
+                reply.text = payload;
+                reply.binary = record["frameType"] == "Binary";
+                reply.template = false;
+                reply.delay = int(System.Math.Max(0, time.Subtract(triggerTime).TotalMilliseconds));
+                reply.repeat = 1;
+                replyLists[wsSession].Add(reply);
+            }
+        }
+        return mocks;
+    }
+
+    //
+    // Traffic statistics, kept per connection as messages are reassembled
+    // (before filters and heartbeat options hide any of them): data messages
+    // and their bytes per direction, message rate over time, message types
+    // (SignalR hub method, Socket.IO event or frame type), fragmentation and
+    // the largest messages. Byte counts are the frame payload sizes on the
+    // wire, before permessage-deflate inflation. The report is built from
+    // these counters, for the connections of the selected sessions, only
+    // when asked for (context menu or wsstats).
+    //
+    static var wsStatsTopMessages = 5;
+    static var wsStatsMaxRateRows = 20;
+    static var wsStatsMaxConnections = 1000;
+
+    // WsStats by wsSession, kept after the connection is gone; the oldest are dropped first
+    static var wsStatsByConnection = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+    static var wsStatsOrder = System.Collections.Queue.Synchronized(new System.Collections.Queue());
+
+    static function GetWsStats(connection: WsConnection): WsStats
+    {
+        Monitor.Enter(wsStatsByConnection.SyncRoot);
+        var stats: WsStats = wsStatsByConnection[connection.wsSession];
+        if (null == stats)
+        {
+            stats = new WsStats(wsStatsMaxRateRows);
+            stats.wsSession = connection.wsSession;
+            stats.sessionId = connection.sessionId;
+            stats.url = connection.url;
+            wsStatsByConnection[connection.wsSession] = stats;
+            wsStatsOrder.Enqueue(connection.wsSession);
+            while (wsStatsOrder.Count > wsStatsMaxConnections)
+            {
+                wsStatsByConnection.Remove(wsStatsOrder.Dequeue());
+            }
+        }
+        Monitor.Exit(wsStatsByConnection.SyncRoot);
+        return stats;
+    }
+
+    static function RecordWsStats(partial: WsPartialMessage, kind: String, wireSize: int)
+    {
+        var stats = GetWsStats(GetWsConnection(partial.wsSession));
+        var d = (partial.direction == "Client") ? 0 : 1;
+        Monitor.Enter(stats);
+        stats.messages[d]++;
+        stats.bytes[d] += wireSize;
+        stats.parts[d] += partial.partCount;
+        if (partial.partCount > 1) stats.fragmented[d]++;
+        stats.maxParts[d] = System.Math.Max(stats.maxParts[d], partial.partCount);
+
+        if (stats.first == DateTime.MaxValue) stats.first = partial.doneTime;
+        if (partial.doneTime > stats.last) stats.last = partial.doneTime;
+
+        // The rate intervals double in length whenever they run out
+        var bucket = int(System.Math.Max(0,
+            System.Math.Floor(partial.doneTime.Subtract(stats.first).TotalSeconds / stats.rateSeconds)));
+        while (bucket >= wsStatsMaxRateRows)
+        {
+            for (var i = 0; i < wsStatsMaxRateRows; i++)
+            {
+                stats.clientRates[i] = (2 * i < wsStatsMaxRateRows)
+                    ? stats.clientRates[2 * i] + stats.clientRates[2 * i + 1] : 0;
+                stats.serverRates[i] = (2 * i < wsStatsMaxRateRows)
+                    ? stats.serverRates[2 * i] + stats.serverRates[2 * i + 1] : 0;
+            }
+            stats.rateSeconds *= 2;
+            bucket = int(System.Math.Floor(partial.doneTime.Subtract(stats.first).TotalSeconds / stats.rateSeconds));
+        }
+        if (d == 0) stats.clientRates[bucket]++; else stats.serverRates[bucket]++;
+
+        var kindKey = ((d == 0) ? "C|" : "S|") + kind;
+        if (!stats.kinds.Contains(kind)) stats.kinds.Add(kind);
+        stats.kindCounts[kindKey] = ((null != stats.kindCounts[kindKey]) ? stats.kindCounts[kindKey] : 0) + 1;
+
+        if (stats.largest.Count < wsStatsTopMessages || wireSize > stats.largest[stats.largest.Count - 1].size)
+        {
+            var message = new WsStatsMessage();
+            message.messageID = partial.messageID;
+            message.bClient = (d == 0);
+            message.size = wireSize;
+            stats.largest.Add(message);
+            stats.largest.Sort(new WsStatsMessageSizeComparer());
+            if (stats.largest.Count > wsStatsTopMessages) stats.largest.RemoveAt(wsStatsTopMessages);
+        }
+        Monitor.Exit(stats);
+    }
+
+    // The statistics of the connections of the given sessions (a fake session or the upgrade session)
+    static function CollectWsStats(oSessions: Session[]): System.Collections.ArrayList
+    {
+        var statsList = new System.Collections.ArrayList();
+        var allStats = new System.Collections.ArrayList(wsStatsByConnection.Values);
+        for (var i = 0; i < oSessions.Length; i++)
+        {
+            var wsSession = GetFakeWsSessionName(oSessions[i]);
+            for (var j = 0; j < allStats.Count; j++)
+            {
+                var stats: WsStats = allStats[j];
+                if ((null != wsSession) ? stats.wsSession == wsSession : stats.sessionId == oSessions[i].id)
+                {
+                    if (!statsList.Contains(stats)) statsList.Add(stats);
+                    break;
+                }
+            }
+        }
+        return statsList;
+    }
+
+    // The statistics of every connection still kept, oldest first
+    static function GetAllWsStats(): System.Collections.ArrayList
+    {
+        var statsList = new System.Collections.ArrayList();
+        var wsSessions = wsStatsOrder.ToArray();
+        for (var i = 0; i < wsSessions.Length; i++)
+        {
+            var stats = wsStatsByConnection[wsSessions[i]];
+            if (null != stats) statsList.Add(stats);
+        }
+        return statsList;
+    }
+
+    // The wsSession of a fake session, or null for other sessions
+    static function GetFakeWsSessionName(oSession: Session): String
+    {
+        if (!IsFakeWsSession(oSession))
+        {
+            return null;
+        }
+        if (null != oSession["x-ws-session"])
+        {
+            return oSession["x-ws-session"];
+        }
+        // Fake sessions of older versions of this script
+        return GetWsEnvelopes(oSession)[0]["wsSession"];
+    }
+
+    static function GetWsMessageKind(envelope: System.Collections.IDictionary): String
+    {
+        if (envelope.Contains("signalR"))
+        {
+            var first: System.Collections.IDictionary = envelope["signalR"][0];
+            if (!first.Contains("target"))
+            {
+                return "SignalR " + first["messageType"];
+            }
+            return "SignalR " + first["messageType"] + " " +
+                (first.Contains("hub") ? first["hub"] + "." + first["target"] : first["target"]);
+        }
+        if (envelope.Contains("socketIo"))
+        {
+            var socketIo: System.Collections.IDictionary = envelope["socketIo"];
+            var packetType = socketIo.Contains("packetType") ? socketIo["packetType"] : socketIo["engineType"];
+            return "Socket.IO " + packetType + (socketIo.Contains("event") ? " " + socketIo["event"] : "");
+        }
+        return String(envelope["messageType"]);
+    }
+
+    //
+    // The statistics as rows of {wsSession, url, section, name, client,
+    // server, total}, shared by the text report and the CSV export
+    //
+    static function BuildWsStatsRows(statsList: System.Collections.ArrayList): System.Collections.ArrayList
+    {
+        var rows = new System.Collections.ArrayList();
+        for (var i = 0; i < statsList.Count; i++)
+        {
+            var stats: WsStats = statsList[i];
+            Monitor.Enter(stats);
+            try
+            {
+                AddWsStatsRows(rows, stats);
+            }
+            finally
+            {
+                Monitor.Exit(stats);
+            }
+        }
+        return rows;
+    }
+
+    static function AddWsStatsRows(rows: System.Collections.ArrayList, stats: WsStats)
+    {
+        var clientCount = stats.messages[0], serverCount = stats.messages[1];
+        var clientBytes = stats.bytes[0], serverBytes = stats.bytes[1];
+        var seconds = (clientCount + serverCount > 0) ? stats.last.Subtract(stats.first).TotalSeconds : 0;
+        var j;
+
+        AddWsStatsRow(rows, stats, "Summary", "Messages", clientCount, serverCount, null);
+        AddWsStatsRow(rows, stats, "Summary", "Bytes", clientBytes, serverBytes, null);
+        AddWsStatsRow(rows, stats, "Summary", "Average message bytes",
+            (clientCount > 0) ? clientBytes / clientCount : 0,
+            (serverCount > 0) ? serverBytes / serverCount : 0, null);
+        AddWsStatsRow(rows, stats, "Summary", "Duration (s)", "", "", seconds);
+        AddWsStatsRow(rows, stats, "Summary", "Messages per second",
+            (seconds > 0) ? clientCount / seconds : "", (seconds > 0) ? serverCount / seconds : "",
+            (seconds > 0) ? (clientCount + serverCount) / seconds : "");
+
+        // Message rate over time, in at most wsStatsMaxRateRows intervals
+        if (clientCount + serverCount > 0)
+        {
+            var bucketCount = int(System.Math.Min(wsStatsMaxRateRows,
+                System.Math.Floor(seconds / stats.rateSeconds) + 1));
+            for (j = 0; j < bucketCount; j++)
+            {
+                AddWsStatsRow(rows, stats, "Messages per " + stats.rateSeconds + "s",
+                    stats.first.AddSeconds(j * stats.rateSeconds).ToString("HH:mm:ss"),
+                    stats.clientRates[j], stats.serverRates[j], null);
+            }
+        }
+
+        for (j = 0; j < stats.kinds.Count; j++)
+        {
+            var clientKind = stats.kindCounts["C|" + stats.kinds[j]];
+            var serverKind = stats.kindCounts["S|" + stats.kinds[j]];
+            AddWsStatsRow(rows, stats, "Message types", stats.kinds[j],
+                (null != clientKind) ? clientKind : 0, (null != serverKind) ? serverKind : 0, null);
+        }
+
+        AddWsStatsRow(rows, stats, "Fragmentation", "Fragmented messages", stats.fragmented[0], stats.fragmented[1], null);
+        AddWsStatsRow(rows, stats, "Fragmentation", "Most frames in a message", stats.maxParts[0], stats.maxParts[1], "");
+        AddWsStatsRow(rows, stats, "Fragmentation", "Average frames per message",
+            (clientCount > 0) ? stats.parts[0] / clientCount : "", (serverCount > 0) ? stats.parts[1] / serverCount : "", "");
+
+        for (j = 0; j < stats.largest.Count; j++)
+        {
+            var message: WsStatsMessage = stats.largest[j];
+            AddWsStatsRow(rows, stats, "Largest messages (bytes)", message.messageID,
+                message.bClient ? message.size : "", message.bClient ? "" : message.size, null);
+        }
+    }
+
+    //
+    // A null total is the sum of client and server
+    //
+    static function AddWsStatsRow(rows: System.Collections.ArrayList, stats: WsStats, section: String,
+        name: String, client: Object, server: Object, total: Object)
+    {
+        if (null == total)
+        {
+            total = ((typeof(client) == "number") ? client : 0) + ((typeof(server) == "number") ? server : 0);
+        }
+        rows.Add([stats.wsSession, stats.url, section, name,
+            FormatWsStatsValue(client), FormatWsStatsValue(server), FormatWsStatsValue(total)]);
+    }
+
+    static function FormatWsStatsValue(value: Object): String
+    {
+        if (typeof(value) == "number")
+        {
+            return Convert.ToDouble(value).ToString("0.##", System.Globalization.CultureInfo.InvariantCulture);
+        }
+        return (null != value) ? String(value) : "";
+    }
+
+    static function FormatWsStats(statsList: System.Collections.ArrayList): String
+    {
+        var rows = BuildWsStatsRows(statsList);
+        var oSB = new System.Text.StringBuilder();
+        var wsSession = null, section = null;
+        for (var i = 0; i < rows.Count; i++)
+        {
+            var row = rows[i];
+            if (row[0] != wsSession)
+            {
+                wsSession = row[0];
+                section = null;
+                oSB.AppendFormat("{0}{1}  {2}\r\n", (i > 0) ? "\r\n" : "", row[0], row[1]);
+            }
+            if (row[2] != section)
+            {
+                section = row[2];
+                oSB.AppendFormat("\r\n  {0,-44}{1,12}{2,12}{3,12}\r\n", section, "Client", "Server", "Total");
+            }
+            oSB.AppendFormat("  {0,-44}{1,12}{2,12}{3,12}\r\n", row[3], row[4], row[5], row[6]);
+        }
+        return oSB.ToString();
+    }
+
+    static function WsStatsToCsv(statsList: System.Collections.ArrayList): String
+    {
+        var rows = BuildWsStatsRows(statsList);
+        var oSB = new System.Text.StringBuilder();
+        oSB.Append("wsSession,url,section,name,client,server,total\r\n");
+        for (var i = 0; i < rows.Count; i++)
+        {
+            var row = rows[i];
+            for (var j = 0; j < row.length; j++)
+            {
+                var value = (null != row[j]) ? String(row[j]) : "";
+                if (value.IndexOfAny(",\"\r\n".ToCharArray()) >= 0)
+                {
+                    value = "\"" + value.Replace("\"", "\"\"") + "\"";
+                }
+                oSB.Append((j > 0) ? "," : "").Append(value);
+            }
+            oSB.Append("\r\n");
+        }
+        return oSB.ToString();
+    }
+
+    //
+    // Diffs of WebSocket payloads, ignoring the envelope (doneTime,
+    // messageID, ...). Payload paths set with the wsdiffignore QuickExec
+    // command are left out too, e.g. "wsdiffignore A[*].I"; * stands for
+    // any member name or array index. Arrays are compared item by item.
+    //
+    static var wsDiffIgnoredPaths = new System.Collections.ArrayList();
+
+    static function AddWsDiffIgnoredPath(path: String): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList(wsDiffIgnoredPaths);
+        result.Add(new WsDiffIgnoredPath(path));
+        return result;
+    }
+
+    static function DiffWsMessages(oSessionA: Session, oSessionB: Session): String
+    {
+        var envelopeA = GetWsDiffEnvelope(oSessionA);
+        var envelopeB = GetWsDiffEnvelope(oSessionB);
+        var ignored = wsDiffIgnoredPaths;
+
+        var diffs = new System.Collections.ArrayList();
+        WsJsonDiff.Compare(envelopeA["payload"], envelopeB["payload"], "$", ignored, diffs);
+
+        var oSB = new System.Text.StringBuilder();
+        oSB.AppendFormat("A: {0}.{1} (session {2}), {3}\n", envelopeA["wsSession"], envelopeA["messageID"],
+            oSessionA.id, GetWsMessageKind(envelopeA));
+        oSB.AppendFormat("B: {0}.{1} (session {2}), {3}\n", envelopeB["wsSession"], envelopeB["messageID"],
+            oSessionB.id, GetWsMessageKind(envelopeB));
+        AppendWsDiffIgnoredPaths(oSB, ignored);
+        oSB.AppendLine();
+        if (diffs.Count == 0)
+        {
+            oSB.AppendLine("The payloads are the same.");
+        }
+        else
+        {
+            oSB.AppendFormat("{0} difference(s):\n", diffs.Count);
+            for (var i = 0; i < diffs.Count; i++)
+            {
+                oSB.AppendFormat("  {0}\n", diffs[i]);
+            }
+        }
+        return oSB.ToString();
+    }
+
+    static function GetWsDiffEnvelope(oSession: Session): System.Collections.IDictionary
+    {
+        var envelopes = GetWsEnvelopes(oSession);
+        var envelope: System.Collections.IDictionary = envelopes[0];
+        if (envelopes.Count != 1 || !envelope.Contains("messageID"))
+        {
+            throw new Exception("session " + oSession.id + " is not a WebSocket message; " +
+                "use Compare WebSocket Conversations for batches and connections");
+        }
+        return envelope;
+    }
+
+    static function AppendWsDiffIgnoredPaths(oSB: System.Text.StringBuilder, ignored: System.Collections.ArrayList)
+    {
+        if (ignored.Count == 0)
+        {
+            return;
+        }
+        oSB.Append("Ignored:");
+        for (var i = 0; i < ignored.Count; i++)
+        {
+            oSB.Append(" " + ignored[i].text);
+        }
+        oSB.AppendLine();
+    }
+
+    // The connections (wsSessions) of the selected fake or upgrade sessions, in selection order
+    static function GetSelectedWsConnections(oSessions: Session[]): System.Collections.ArrayList
+    {
+        var wsSessions = new System.Collections.ArrayList();
+        for (var i = 0; i < oSessions.Length; i++)
+        {
+            var wsSession = null;
+            if (IsFakeWsSession(oSessions[i]))
+            {
+                wsSession = GetWsEnvelopes(oSessions[i])[0]["wsSession"];
+            }
+            else if (oSessions[i].responseCode == 101)
+            {
+                wsSession = "WSSession" + oSessions[i].id;
+            }
+            if (null != wsSession && !wsSessions.Contains(wsSession))
+            {
+                wsSessions.Add(wsSession);
+            }
+        }
+        return wsSessions;
+    }
+
+    //
+    // The message envelopes of two connections, in capture order, from one
+    // pass over the sessions; only the fake sessions of those connections
+    // are parsed
+    //
+    static function GetWsConversationMessages(wsSessionA: String, wsSessionB: String): System.Collections.ArrayList[]
+    {
+        var messages: System.Collections.ArrayList[] = new System.Collections.ArrayList[2];
+        messages[0] = new System.Collections.ArrayList();
+        messages[1] = new System.Collections.ArrayList();
+        var arrSessions: Session[] = FiddlerApplication.UI.GetAllSessions();
+        for (var i = 0; i < arrSessions.Length; i++)
+        {
+            var wsSession = GetFakeWsSessionName(arrSessions[i]);
+            if (wsSession != wsSessionA && wsSession != wsSessionB)
+            {
+                continue;
+            }
+            var envelopes = GetWsEnvelopes(arrSessions[i]);
+            for (var j = 0; j < envelopes.Count; j++)
+            {
+                var envelope: System.Collections.IDictionary = envelopes[j];
+                if (!envelope.Contains("messageID"))
+                {
+                    continue;
+                }
+                if (envelope["wsSession"] == wsSessionA)
+                {
+                    messages[0].Add(envelope);
+                }
+                else if (envelope["wsSession"] == wsSessionB)
+                {
+                    messages[1].Add(envelope);
+                }
+            }
+        }
+        return messages;
+    }
+
+    //
+    // Line up the messages of two connections by direction and kind (e.g.
+    // "Client SignalR Invocation ChatHub.Send"), keeping their order (a
+    // longest common subsequence), then diff the payloads of each pair.
+    // Messages without a counterpart are listed as only in A or only in B.
+    //
+    static function DiffWsConversations(wsSessionA: String, wsSessionB: String): String
+    {
+        var messages = GetWsConversationMessages(wsSessionA, wsSessionB);
+        var messagesA = messages[0];
+        var messagesB = messages[1];
+        var ignored = wsDiffIgnoredPaths;
+        var i, j;
+
+        var keysA = new System.Collections.ArrayList();
+        for (i = 0; i < messagesA.Count; i++)
+        {
+            keysA.Add(GetWsDiffKey(messagesA[i]));
+        }
+        var keysB = new System.Collections.ArrayList();
+        for (j = 0; j < messagesB.Count; j++)
+        {
+            keysB.Add(GetWsDiffKey(messagesB[j]));
+        }
+        var pairs = AlignWsMessages(keysA, keysB);
+
+        var oSB = new System.Text.StringBuilder();
+        oSB.AppendFormat("A: {0}, {1} message(s)\n", wsSessionA, messagesA.Count);
+        oSB.AppendFormat("B: {0}, {1} message(s)\n", wsSessionB, messagesB.Count);
+        AppendWsDiffIgnoredPaths(oSB, ignored);
+        oSB.AppendLine();
+
+        var iSame = 0, iChanged = 0, iOnlyA = 0, iOnlyB = 0;
+        for (var k = 0; k < pairs.Count; k++)
+        {
+            var pair: int[] = pairs[k];
+            var envelopeA: System.Collections.IDictionary = (pair[0] >= 0) ? messagesA[pair[0]] : null;
+            var envelopeB: System.Collections.IDictionary = (pair[1] >= 0) ? messagesB[pair[1]] : null;
+            var diffs = new System.Collections.ArrayList();
+            var mark;
+            if (null == envelopeB)
+            {
+                mark = "-";
+                iOnlyA++;
+            }
+            else if (null == envelopeA)
+            {
+                mark = "+";
+                iOnlyB++;
+            }
+            else
+            {
+                WsJsonDiff.Compare(envelopeA["payload"], envelopeB["payload"], "$", ignored, diffs);
+                mark = (diffs.Count == 0) ? "=" : "~";
+                if (diffs.Count == 0) iSame++; else iChanged++;
+            }
+
+            oSB.AppendFormat("{0} {1,-16} {2,-16} {3}\n", mark,
+                (null != envelopeA) ? envelopeA["messageID"] : "",
+                (null != envelopeB) ? envelopeB["messageID"] : "",
+                (null != envelopeA) ? keysA[pair[0]] : keysB[pair[1]]);
+            for (i = 0; i < diffs.Count; i++)
+            {
+                oSB.AppendFormat("      {0}\n", diffs[i]);
+            }
+        }
+
+        oSB.AppendLine();
+        oSB.AppendFormat("{0} same, {1} changed, {2} only in A, {3} only in B", iSame, iChanged, iOnlyA, iOnlyB);
+        return oSB.ToString();
+    }
+
+    static function GetWsDiffKey(envelope: System.Collections.IDictionary): String
+    {
+        var messageID = String(envelope["messageID"]);
+        var direction = messageID.StartsWith("Client") ? "Client" : "Server";
+        return direction + " " + GetWsMessageKind(envelope);
+    }
+
+    //
+    // Pairs of indexes {a, b} into the two key lists, -1 for a message with
+    // no counterpart. The longest common subsequence is found with
+    // Hirschberg's algorithm, which needs two rows of memory rather than the
+    // whole table. Its time still grows with the product of the lengths, so
+    // conversations beyond 25 million comparisons are lined up by position.
+    //
+    static var wsAlignMaxWork = 25000000;
+
+    static function AlignWsMessages(keysA: System.Collections.ArrayList, keysB: System.Collections.ArrayList): System.Collections.ArrayList
+    {
+        var n = keysA.Count, m = keysB.Count;
+        var pairs = new System.Collections.ArrayList();
+
+        if (long(n) * m > wsAlignMaxWork)
+        {
+            for (var i = 0; i < System.Math.Max(n, m); i++)
+            {
+                pairs.Add(NewWsDiffPair((i < n) ? i : -1, (i < m) ? i : -1));
+            }
+            return pairs;
+        }
+
+        // Compare numbers rather than strings
+        var codes = new System.Collections.Hashtable();
+        var a: int[] = GetWsAlignCodes(keysA, codes);
+        var b: int[] = GetWsAlignCodes(keysB, codes);
+        AlignWsRange(a, 0, n, b, 0, m, pairs);
+        return pairs;
+    }
+
+    static function GetWsAlignCodes(keys: System.Collections.ArrayList, codes: System.Collections.Hashtable): int[]
+    {
+        var result: int[] = new int[keys.Count];
+        for (var i = 0; i < keys.Count; i++)
+        {
+            if (null == codes[keys[i]])
+            {
+                codes[keys[i]] = codes.Count;
+            }
+            result[i] = int(codes[keys[i]]);
+        }
+        return result;
+    }
+
+    // Align a[a0..a1) with b[b0..b1), adding the pairs in order
+    static function AlignWsRange(a: int[], a0: int, a1: int, b: int[], b0: int, b1: int,
+        pairs: System.Collections.ArrayList)
+    {
+        var i, j;
+        while (a0 < a1 && b0 < b1 && a[a0] == b[b0])
+        {
+            pairs.Add(NewWsDiffPair(a0++, b0++));
+        }
+        var suffix = 0;
+        while (a1 - suffix > a0 && b1 - suffix > b0 && a[a1 - suffix - 1] == b[b1 - suffix - 1])
+        {
+            suffix++;
+        }
+        a1 -= suffix;
+        b1 -= suffix;
+
+        if (a0 == a1 || b0 == b1)
+        {
+            for (i = a0; i < a1; i++) pairs.Add(NewWsDiffPair(i, -1));
+            for (j = b0; j < b1; j++) pairs.Add(NewWsDiffPair(-1, j));
+        }
+        else if (a1 - a0 == 1)
+        {
+            // A single message: pair it with its first match, if any
+            var match = -1;
+            for (j = b0; j < b1 && match < 0; j++)
+            {
+                if (b[j] == a[a0]) match = j;
+            }
+            if (match < 0)
+            {
+                pairs.Add(NewWsDiffPair(a0, -1));
+            }
+            for (j = b0; j < b1; j++)
+            {
+                pairs.Add((j == match) ? NewWsDiffPair(a0, j) : NewWsDiffPair(-1, j));
+            }
+        }
+        else
+        {
+            // Split A in half, and B where the two halves' subsequences add up to the most
+            var mid = (a0 + a1) >> 1;
+            var forward: int[] = GetWsLcsRow(a, a0, mid, b, b0, b1, true);
+            var backward: int[] = GetWsLcsRow(a, mid, a1, b, b0, b1, false);
+            var split = 0;
+            for (j = 1; j <= b1 - b0; j++)
+            {
+                if (forward[j] + backward[j] > forward[split] + backward[split]) split = j;
+            }
+            AlignWsRange(a, a0, mid, b, b0, b0 + split, pairs);
+            AlignWsRange(a, mid, a1, b, b0 + split, b1, pairs);
+        }
+
+        for (i = 0; i < suffix; i++)
+        {
+            pairs.Add(NewWsDiffPair(a1 + i, b1 + i));
+        }
+    }
+
+    //
+    // Row j of the result is the length of the longest common subsequence of
+    // a[a0..a1) with b[b0..b0+j) (bForward), or with b[b0+j..b1)
+    //
+    static function GetWsLcsRow(a: int[], a0: int, a1: int, b: int[], b0: int, b1: int, bForward: boolean): int[]
+    {
+        var m = b1 - b0;
+        var prev: int[] = new int[m + 1];
+        var row: int[] = new int[m + 1];
+        var swap: int[];
+        var j;
+        if (bForward)
+        {
+            for (var i = a0; i < a1; i++)
+            {
+                for (j = 1; j <= m; j++)
+                {
+                    row[j] = (a[i] == b[b0 + j - 1]) ? prev[j - 1] + 1 : System.Math.Max(prev[j], row[j - 1]);
+                }
+                swap = prev; prev = row; row = swap;
+            }
+        }
+        else
+        {
+            for (var k = a1 - 1; k >= a0; k--)
+            {
+                for (j = m - 1; j >= 0; j--)
+                {
+                    row[j] = (a[k] == b[b0 + j]) ? prev[j + 1] + 1 : System.Math.Max(prev[j], row[j + 1]);
+                }
+                swap = prev; prev = row; row = swap;
+            }
+        }
+        return prev;
+    }
+
+    static function NewWsDiffPair(a: int, b: int): int[]
+    {
+        var pair: int[] = new int[2];
+        pair[0] = a;
+        pair[1] = b;
+        return pair;
+    }
+
+    //
+    // HAR export. Every session but the fake ones becomes a HAR entry; the
+    // entry of a WebSocket upgrade also gets the connection's messages in
+    // _webSocketMessages, the way Chrome DevTools saves them: type
+    // send/receive, time in seconds since 1970, opcode, and data (the text
+    // of Text messages, base64 for the others).
+    //
+    // The messages are recorded as they are printed, with the text that was
+    // on the wire, whether or not they got a fake session (filters, folded
+    // heartbeats), and are kept by upgrade session for the last 1,000
+    // connections. Connections captured before the script was (re)loaded,
+    // or loaded from a SAZ file, have no messages in the HAR file.
+    //
+    static var wsHarMessages = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+    static var wsHarOrder = System.Collections.Queue.Synchronized(new System.Collections.Queue());
+    static var wsHarMaxConnections = 1000;
+
+    static function RecordHarMessage(oHandshake: Session, bClient: boolean, frameType: String, time: DateTime, data: String)
+    {
+        if (null == oHandshake)
+        {
+            return;
+        }
+
+        Monitor.Enter(wsHarMessages.SyncRoot);
+        var messages: System.Collections.ArrayList = wsHarMessages[oHandshake];
+        if (null == messages)
+        {
+            messages = new System.Collections.ArrayList();
+            wsHarMessages[oHandshake] = messages;
+            wsHarOrder.Enqueue(oHandshake);
+            while (wsHarOrder.Count > wsHarMaxConnections)
+            {
+                wsHarMessages.Remove(wsHarOrder.Dequeue());
+            }
+        }
+        messages.Add(NewHarWebSocketMessage(bClient, frameType, time, data));
+        Monitor.Exit(wsHarMessages.SyncRoot);
+    }
+
+    static function ExportWsHar(sFilename: String): int
+    {
+        var arrSessions: Session[] = FiddlerApplication.UI.GetAllSessions();
+        var entries = new System.Collections.ArrayList();
+        for (var i = 0; i < arrSessions.Length; i++)
+        {
+            if (IsFakeWsSession(arrSessions[i]))
+            {
+                continue;
+            }
+            var entry = GetHarEntry(arrSessions[i]);
+            Monitor.Enter(wsHarMessages.SyncRoot);
+            var messages: System.Collections.ArrayList = wsHarMessages[arrSessions[i]];
+            if (null != messages)
+            {
+                entry["_resourceType"] = "websocket";
+                entry["_webSocketMessages"] = new System.Collections.ArrayList(messages);
+            }
+            Monitor.Exit(wsHarMessages.SyncRoot);
+            entries.Add(entry);
+        }
+
+        var creator = new System.Collections.Specialized.OrderedDictionary();
+        creator["name"] = "Fiddler";
+        creator["version"] = Application.ProductVersion;
+
+        var log = new System.Collections.Specialized.OrderedDictionary();
+        log["version"] = "1.2";
+        log["creator"] = creator;
+        log["pages"] = new System.Collections.ArrayList();
+        log["entries"] = entries;
+
+        var har = new System.Collections.Specialized.OrderedDictionary();
+        har["log"] = log;
+        System.IO.File.WriteAllText(sFilename, WsJson.Stringify(har), new System.Text.UTF8Encoding(false));
+        return entries.Count;
+    }
+
+    static function NewHarWebSocketMessage(bClient: boolean, frameType: String, time: DateTime, data: String):
+        System.Collections.Specialized.OrderedDictionary
+    {
+        var epoch = new DateTime(1970, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+        var opcode = 1;
+        switch (frameType)
+        {
+        case "Binary": opcode = 2; break;
+        case "Close": opcode = 8; break;
+        case "Ping": opcode = 9; break;
+        case "Pong": opcode = 10; break;
+        }
+
+        var message = new System.Collections.Specialized.OrderedDictionary();
+        message["type"] = bClient ? "send" : "receive";
+        message["time"] = time.ToUniversalTime().Subtract(epoch).TotalSeconds;
+        message["opcode"] = opcode;
+        message["data"] = data;
+        return message;
+    }
+
+    static function GetHarEntry(oSession: Session): System.Collections.Specialized.OrderedDictionary
+    {
+        var timings = new System.Collections.Specialized.OrderedDictionary();
+        timings["send"] = GetHarTime(oSession.Timers.ClientBeginRequest, oSession.Timers.ServerGotRequest);
+        timings["wait"] = GetHarTime(oSession.Timers.ServerGotRequest, oSession.Timers.ServerBeginResponse);
+        timings["receive"] = GetHarTime(oSession.Timers.ServerBeginResponse, oSession.Timers.ServerDoneResponse);
+
+        var request = new System.Collections.Specialized.OrderedDictionary();
+        request["method"] = oSession.RequestMethod;
+        request["url"] = GetWsHandshakeUrl(oSession);
+        request["httpVersion"] = oSession.oRequest.headers.HTTPVersion;
+        request["cookies"] = new System.Collections.ArrayList();
+        request["headers"] = GetHarHeaders(oSession.oRequest.headers);
+        request["queryString"] = GetHarQueryString(oSession.PathAndQuery);
+        if (oSession.requestBodyBytes.Length > 0)
+        {
+            var postData = new System.Collections.Specialized.OrderedDictionary();
+            postData["mimeType"] = oSession.oRequest["Content-Type"];
+            postData["text"] = oSession.GetRequestBodyAsString();
+            request["postData"] = postData;
+        }
+        request["headersSize"] = -1;
+        request["bodySize"] = oSession.requestBodyBytes.Length;
+
+        // Sessions aborted before the response have no response headers
+        var bResponse = null != oSession.oResponse.headers;
+        var response = new System.Collections.Specialized.OrderedDictionary();
+        response["status"] = oSession.responseCode;
+        response["statusText"] = bResponse ? oSession.oResponse.headers.StatusDescription : "";
+        response["httpVersion"] = bResponse ? oSession.oResponse.headers.HTTPVersion : "";
+        response["cookies"] = new System.Collections.ArrayList();
+        response["headers"] = GetHarHeaders(oSession.oResponse.headers);
+        response["content"] = GetHarContent(oSession, bResponse);
+        response["redirectURL"] = bResponse ? oSession.oResponse["Location"] : "";
+        response["headersSize"] = -1;
+        response["bodySize"] = (null != oSession.responseBodyBytes) ? oSession.responseBodyBytes.Length : 0;
+
+        var entry = new System.Collections.Specialized.OrderedDictionary();
+        entry["startedDateTime"] = oSession.Timers.ClientBeginRequest.ToString(wsTimestampFormat);
+        entry["time"] = timings["send"] + timings["wait"] + timings["receive"];
+        entry["request"] = request;
+        entry["response"] = response;
+        entry["cache"] = new System.Collections.Specialized.OrderedDictionary();
+        entry["timings"] = timings;
+        entry["serverIPAddress"] = oSession.m_hostIP;
+        entry["comment"] = "Fiddler session " + oSession.id;
+        return entry;
+    }
+
+    static function GetHarTime(dtStart: DateTime, dtEnd: DateTime): int
+    {
+        // Timers that were never set (e.g., aborted sessions) count as 0
+        return int(System.Math.Max(0, System.Math.Round(dtEnd.Subtract(dtStart).TotalMilliseconds)));
+    }
+
+    static function GetHarHeaders(headers: HTTPHeaders): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList();
+        if (null == headers)
+        {
+            return result;
+        }
+        for (var header in headers)
+        {
+            var item = new System.Collections.Specialized.OrderedDictionary();
+            item["name"] = header.Name;
+            item["value"] = header.Value;
+            result.Add(item);
+        }
+        return result;
+    }
+
+    static function GetHarQueryString(pathAndQuery: String): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList();
+        var index = pathAndQuery.IndexOf("?");
+        if (index < 0)
+        {
+            return result;
+        }
+
+        var pairs = pathAndQuery.Substring(index + 1).Split("&".ToCharArray());
+        for (var i = 0; i < pairs.Length; i++)
+        {
+            if (pairs[i] == "") continue;
+            var equals = pairs[i].IndexOf("=");
+            var item = new System.Collections.Specialized.OrderedDictionary();
+            item["name"] = Uri.UnescapeDataString((equals < 0) ? pairs[i] : pairs[i].Substring(0, equals));
+            item["value"] = (equals < 0) ? "" : Uri.UnescapeDataString(pairs[i].Substring(equals + 1));
+            result.Add(item);
+        }
+        return result;
+    }
+
+    //
+    // Textual bodies are saved as text; compressed or binary bodies are
+    // saved as base64, as they were on the wire
+    //
+    static function GetHarContent(oSession: Session, bResponse: boolean): System.Collections.Specialized.OrderedDictionary
+    {
+        var bytes: byte[] = (bResponse && null != oSession.responseBodyBytes) ? oSession.responseBodyBytes : new byte[0];
+        var mimeType: String = bResponse ? oSession.oResponse["Content-Type"] : "";
+
+        var content = new System.Collections.Specialized.OrderedDictionary();
+        content["size"] = bytes.Length;
+        content["mimeType"] = mimeType;
+        if (bytes.Length == 0)
+        {
+            return content;
+        }
+
+        if (!oSession.oResponse.headers.Exists("Content-Encoding") &&
+            System.Text.RegularExpressions.Regex.IsMatch(mimeType, "^text/|json|xml|javascript",
+                System.Text.RegularExpressions.RegexOptions.IgnoreCase))
+        {
+            content["text"] = oSession.GetResponseBodyAsString();
+        }
+        else
+        {
+            content["text"] = Convert.ToBase64String(bytes);
+            content["encoding"] = "base64";
+        }
+        return content;
+    }
+
+    //
+    // WebSocket mock server, an AutoResponder for WebSocket connections.
+    // The wsmock QuickExec command loads a rules file (see
+    // WebSocketResponder.xml) and starts a local server. WebSocket upgrades
+    // whose URL matches a <Mock> are sent to that server, which answers client
+    // messages with canned or templated replies and pushes scheduled messages,
+    // so no real backend is needed. The traffic still goes through Fiddler,
+    // so it is captured like any other connection.
+    //
+    // The listener and each connection get their own background thread, as
+    // they spend their lives blocked in Accept and Read; stopping the mock
+    // closes them all.
+    //
+    static var wsMocks: System.Collections.ArrayList = null;
+    static var wsMockListener: System.Net.Sockets.TcpListener = null;
+
+    // WsMockConnection objects still open
+    static var wsMockConnections = System.Collections.ArrayList.Synchronized(new System.Collections.ArrayList());
+
+    static function StartWsMock(mocks: System.Collections.ArrayList)
+    {
+        StopWsMock();
+
+        wsMockListener = new System.Net.Sockets.TcpListener(System.Net.IPAddress.Loopback, 0);
+        wsMockListener.Start();
+        wsMocks = mocks;
+        StartWsMockThread(AcceptWsMockConnections, wsMockListener, "WebSocket mock listener");
+    }
+
+    static function StopWsMock()
+    {
+        wsMocks = null;
+        if (null != wsMockListener)
+        {
+            wsMockListener.Stop();
+            wsMockListener = null;
+        }
+
+        var connections = wsMockConnections.ToArray();
+        for (var i = 0; i < connections.Length; i++)
+        {
+            CloseWsMockConnection(connections[i]);
+        }
+    }
+
+    static function StartWsMockThread(start: ParameterizedThreadStart, state: Object, name: String)
+    {
+        var thread = new System.Threading.Thread(start);
+        thread.IsBackground = true;
+        thread.Name = name;
+        thread.Start(state);
+    }
+
+    static function LoadWsMocks(sFilename: String): System.Collections.ArrayList
+    {
+        var oDoc = new System.Xml.XmlDocument();
+        oDoc.Load(sFilename);
+
+        var mocks = new System.Collections.ArrayList();
+        var oMockNodes = oDoc.SelectNodes("/WebSocketResponder/Mock[not(@Enabled='false')]");
+        for (var i = 0; i < oMockNodes.Count; i++)
+        {
+            var oMockNode = oMockNodes[i];
+            var mock = new WsMock();
+            mock.match = oMockNode.GetAttribute("Match");
+            mock.onConnect = LoadWsMockReplies(oMockNode.SelectNodes("OnConnect/Reply"));
+            mock.pushes = LoadWsMockReplies(oMockNode.SelectNodes("Push"));
+
+            var oRuleNodes = oMockNode.SelectNodes("ResponseRule[not(@Enabled='false')]");
+            for (var j = 0; j < oRuleNodes.Count; j++)
+            {
+                var rule = new WsMockRule();
+                var sMatch = oRuleNodes[j].GetAttribute("Match");
+                // Accept AutoResponder's regex: prefix as well as the wsfilter criteria
+                rule.filter = ParseWsFilter(sMatch.StartsWith("regex:")
+                    ? "re:" + sMatch.Substring(6) : sMatch);
+                rule.replies = LoadWsMockReplies(oRuleNodes[j].SelectNodes("Reply"));
+                mock.rules.Add(rule);
+            }
+            mocks.Add(mock);
+        }
+        return mocks;
+    }
+
+    static function LoadWsMockReplies(oNodes: System.Xml.XmlNodeList): System.Collections.ArrayList
+    {
+        var replies = new System.Collections.ArrayList();
+        for (var i = 0; i < oNodes.Count; i++)
+        {
+            var reply = new WsMockReply();
+            reply.text = oNodes[i].InnerText;
+            reply.delay = ParseWsMockInt(oNodes[i].GetAttribute("Delay"), 0);
+            reply.interval = ParseWsMockInt(oNodes[i].GetAttribute("Interval"), 0);
+            reply.repeat = ParseWsMockInt(oNodes[i].GetAttribute("Repeat"), -1);
+            reply.binary = oNodes[i].GetAttribute("Binary") == "true";
+            replies.Add(reply);
+        }
+        return replies;
+    }
+
+    static function ParseWsMockInt(sValue: String, iDefault: int): int
+    {
+        return String.IsNullOrEmpty(sValue) ? iDefault : int.Parse(sValue);
+    }
+
+    //
+    // <Mock Match="..."> works like an AutoResponder match: "regex:<regex>",
+    // "EXACT:<url>", or text the WebSocket URL must contain
+    //
+    static function FindWsMock(mocks: System.Collections.ArrayList, sUrl: String): int
+    {
+        for (var i = 0; i < mocks.Count; i++)
+        {
+            var sMatch: String = mocks[i].match;
+            if (sMatch.StartsWith("regex:"))
+            {
+                if (System.Text.RegularExpressions.Regex.IsMatch(sUrl, sMatch.Substring(6))) return i;
+            }
+            else if (sMatch.StartsWith("EXACT:"))
+            {
+                if (sUrl == sMatch.Substring(6)) return i;
+            }
+            else if (sUrl.IndexOf(sMatch, StringComparison.OrdinalIgnoreCase) >= 0)
+            {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    static function RouteToWsMock(oSession: Session)
+    {
+        var mocks = wsMocks;
+        var listener = wsMockListener;
+        var iMock = (null != mocks && null != listener) ? FindWsMock(mocks, GetWsUrl(oSession)) : -1;
+        if (iMock < 0)
+        {
+            return;
+        }
+
+        oSession.oRequest["X-Fiddler-WsMock"] = iMock.ToString();
+        oSession["ui-backcolor"] = "Lavender";
+        oSession["x-ws-original-url"] = oSession.fullUrl;
+        oSession.fullUrl = String.Format("http://127.0.0.1:{0}{1}",
+            listener.LocalEndpoint.Port, oSession.PathAndQuery);
+    }
+
+    static function AcceptWsMockConnections(state: Object)
+    {
+        var listener: System.Net.Sockets.TcpListener = state;
+        try
+        {
+            while (true)
+            {
+                var client = listener.AcceptTcpClient();
+                StartWsMockThread(ServeWsMockConnection, client, "WebSocket mock connection");
+            }
+        }
+        catch (e: Exception)
+        {
+            // The listener was stopped
+        }
+    }
+
+    static function ServeWsMockConnection(state: Object)
+    {
+        var connection = new WsMockConnection();
+        connection.client = state;
+        connection.stream = connection.client.GetStream();
+        wsMockConnections.Add(connection);
+
+        try
+        {
+            if (!AcceptWsMockHandshake(connection))
+            {
+                return;
+            }
+
+            var i;
+            for (i = 0; i < connection.mock.onConnect.Count; i++)
+            {
+                ScheduleWsMockReply(connection, connection.mock.onConnect[i], null);
+            }
+            for (i = 0; i < connection.mock.pushes.Count; i++)
+            {
+                ScheduleWsMockReply(connection, connection.mock.pushes[i], null);
+            }
+
+            var message: String;
+            while (null != (message = ReadWsMockMessage(connection)))
+            {
+                RespondToWsMockMessage(connection, message);
+            }
+        }
+        catch (e: Exception)
+        {
+            FiddlerApplication.Log.LogString("WebSocket mock connection ended: " + e.Message);
+        }
+        finally
+        {
+            CloseWsMockConnection(connection);
+        }
+    }
+
+    static function AcceptWsMockHandshake(connection: WsMockConnection): boolean
+    {
+        // Read the upgrade request headers
+        var request = new System.Text.StringBuilder();
+        while (!request.ToString().EndsWith("\r\n\r\n"))
+        {
+            var b = connection.stream.ReadByte();
+            if (b < 0) return false;
+            request.Append(String.fromCharCode(b));
+        }
+
+        var headers = new System.Collections.Hashtable(StringComparer.OrdinalIgnoreCase);
+        var lines = request.ToString().Split("\n".ToCharArray());
+        for (var i = 1; i < lines.Length; i++)
+        {
+            var index = lines[i].IndexOf(":");
+            if (index > 0)
+            {
+                headers[lines[i].Substring(0, index).Trim()] = lines[i].Substring(index + 1).Trim();
+            }
+        }
+
+        var mocks = wsMocks;
+        var iMock = ParseWsMockInt(headers["X-Fiddler-WsMock"], -1);
+        if (null == mocks || iMock < 0 || iMock >= mocks.Count || null == headers["Sec-WebSocket-Key"])
+        {
+            WriteWsMock(connection, System.Text.Encoding.ASCII.GetBytes(
+                "HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\nConnection: close\r\n\r\n"));
+            return false;
+        }
+        connection.mock = mocks[iMock];
+
+        var sha1 = System.Security.Cryptography.SHA1.Create();
+        var accept = Convert.ToBase64String(sha1.ComputeHash(System.Text.Encoding.ASCII.GetBytes(
+            headers["Sec-WebSocket-Key"] + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")));
+
+        var response = "HTTP/1.1 101 Switching Protocols\r\n" +
+            "Upgrade: websocket\r\n" +
+            "Connection: Upgrade\r\n" +
+            "Sec-WebSocket-Accept: " + accept + "\r\n";
+        if (null != headers["Sec-WebSocket-Protocol"])
+        {
+            // Agree to the first subprotocol the client offers
+            response += "Sec-WebSocket-Protocol: " +
+                headers["Sec-WebSocket-Protocol"].Split(",".ToCharArray())[0].Trim() + "\r\n";
+        }
+        WriteWsMock(connection, System.Text.Encoding.ASCII.GetBytes(response + "\r\n"));
+        return true;
+    }
+
+    //
+    // Read the next client message, answering pings along the way. Returns
+    // null when the connection is closed. Binary messages are returned as
+    // base64.
+    //
+    static function ReadWsMockMessage(connection: WsMockConnection): String
+    {
+        var message = new System.IO.MemoryStream();
+        var bText = true;
+        while (true)
+        {
+            var header: byte[] = ReadWsMockBytes(connection, 2);
+            var bFinal = (header[0] & 0x80) != 0;
+            var opcode = header[0] & 0x0F;
+            var length: long = header[1] & 0x7F;
+            if (length == 126)
+            {
+                var length16: byte[] = ReadWsMockBytes(connection, 2);
+                length = (length16[0] << 8) | length16[1];
+            }
+            else if (length == 127)
+            {
+                var length64: byte[] = ReadWsMockBytes(connection, 8);
+                length = 0;
+                for (var i = 0; i < 8; i++)
+                {
+                    length = (length << 8) | length64[i];
+                }
+            }
+
+            var mask: byte[] = ((header[1] & 0x80) != 0) ? ReadWsMockBytes(connection, 4) : null;
+            var payload: byte[] = ReadWsMockBytes(connection, int(length));
+            if (null != mask)
+            {
+                for (var j = 0; j < payload.Length; j++)
+                {
+                    payload[j] = byte(payload[j] ^ mask[j % 4]);
+                }
+            }
+
+            switch (opcode)
+            {
+            case 0x8:
+                // Close: echo it, then stop
+                WriteWsMock(connection, BuildWebSocketFrame(0x8, payload, false));
+                return null;
+            case 0x9:
+                WriteWsMock(connection, BuildWebSocketFrame(0xA, payload, false));
+                continue;
+            case 0xA:
+                continue;
+            case 0x2:
+                bText = false;
+                break;
+            }
+
+            message.Write(payload, 0, payload.Length);
+            if (bFinal)
+            {
+                return bText ? System.Text.Encoding.UTF8.GetString(message.ToArray())
+                    : Convert.ToBase64String(message.ToArray());
+            }
+        }
+        return null;
+    }
+
+    static function ReadWsMockBytes(connection: WsMockConnection, count: int): byte[]
+    {
+        var bytes: byte[] = new byte[count];
+        var offset = 0;
+        while (offset < count)
+        {
+            var read = connection.stream.Read(bytes, offset, count - offset);
+            if (read <= 0)
+            {
+                throw new System.IO.EndOfStreamException("connection closed by the client");
+            }
+            offset += read;
+        }
+        return bytes;
+    }
+
+    static function RespondToWsMockMessage(connection: WsMockConnection, message: String)
+    {
+        var partial = new WsPartialMessage();
+        partial.wsSession = "";
+        partial.direction = "Client";
+        partial.messageType = "Text";
+        partial.payloadString = message;
+
+        var json = ParseWsMockJson(message);
+        var envelope = new System.Collections.Specialized.OrderedDictionary();
+        envelope["payload"] = (null != json) ? json.value : message;
+
+        var mock = connection.mock;
+        for (var i = mock.sequential ? connection.nextRule : 0; i < mock.rules.Count; i++)
+        {
+            var rule: WsMockRule = mock.rules[i];
+            var bMatch = (null == rule.expected) ? MatchesWsFilter(rule.filter, partial, envelope)
+                : (null != json && null != rule.expectedJson) ? WsJsonSchema.JsonEquals(rule.expectedJson.value, json.value)
+                : message == rule.expected;
+            if (bMatch)
+            {
+                if (mock.sequential)
+                {
+                    connection.nextRule = i + 1;
+                }
+                for (var j = 0; j < rule.replies.Count; j++)
+                {
+                    ScheduleWsMockReply(connection, rule.replies[j], envelope["payload"]);
+                }
+                return;
+            }
+        }
+    }
+
+    // The JSON of a message (ignoring a trailing SignalR record separator), or null if it is not JSON
+    static function ParseWsMockJson(message: String): WsMockJson
+    {
+        try
+        {
+            var json = new WsMockJson();
+            json.value = WsJson.Parse(message.TrimEnd(String.fromCharCode(0x1E).ToCharArray()));
+            return json;
+        }
+        catch (e: Exception)
+        {
+            return null;
+        }
+    }
+
+    //
+    // Send a reply after its Delay, then every Interval ms (for pushes),
+    // Repeat times or until the connection closes.
+    //
+    static function ScheduleWsMockReply(connection: WsMockConnection, reply: WsMockReply, request: Object)
+    {
+        var send = new WsMockSend();
+        send.connection = connection;
+        send.reply = reply;
+        send.request = request;
+        send.remaining = reply.repeat;
+
+        send.timer = new System.Threading.Timer(SendWsMockReply, send, Timeout.Infinite, Timeout.Infinite);
+        Monitor.Enter(connection);
+        var bClosed = connection.closed;
+        if (!bClosed)
+        {
+            connection.timers.Add(send.timer);
+        }
+        Monitor.Exit(connection);
+        if (bClosed)
+        {
+            send.timer.Dispose();
+            return;
+        }
+        send.timer.Change(reply.delay, (reply.interval > 0) ? reply.interval : Timeout.Infinite);
+    }
+
+    static function SendWsMockReply(state: Object)
+    {
+        var send: WsMockSend = state;
+        if (send.connection.closed)
+        {
+            return;
+        }
+
+        try
+        {
+            var text = send.reply.template
+                ? ApplyWsMockTemplate(send.reply.text, send.connection, send.request) : send.reply.text;
+            WriteWsMock(send.connection, send.reply.binary
+                ? BuildWebSocketFrame(0x2, Convert.FromBase64String(text), false)
+                : BuildWebSocketFrame(0x1, System.Text.Encoding.UTF8.GetBytes(text), false));
+        }
+        catch (e: Exception)
+        {
+            CloseWsMockConnection(send.connection);
+            return;
+        }
+
+        if (send.remaining > 0 && --send.remaining == 0)
+        {
+            send.timer.Change(Timeout.Infinite, Timeout.Infinite);
+        }
+    }
+
+    //
+    // Template tokens: {{json:<path>}} (from the client message being
+    // answered; null when it is not there), {{payload}}, {{now}},
+    // {{counter}} and {{rs}} (the 0x1E SignalR record separator, which XML
+    // cannot hold).
+    //
+    static function ApplyWsMockTemplate(text: String, connection: WsMockConnection, request: Object): String
+    {
+        var result = new System.Text.StringBuilder();
+        var last = 0;
+        var matches = System.Text.RegularExpressions.Regex.Matches(text, "\\{\\{([^}]+)\\}\\}");
+        for (var i = 0; i < matches.Count; i++)
+        {
+            var match = matches[i];
+            result.Append(text.Substring(last, match.Index - last));
+            last = match.Index + match.Length;
+
+            var token: String = match.Groups[1].Value.Trim();
+            var value = null;
+            if (token.StartsWith("json:"))
+            {
+                // Keep the reply valid JSON
+                value = WsJson.Select(request, token.Substring(5));
+                if (null == value)
+                {
+                    value = "null";
+                }
+            }
+            else if (token == "payload")
+            {
+                value = request;
+            }
+            else if (token == "now")
+            {
+                value = DateTime.UtcNow.ToString("o");
+            }
+            else if (token == "counter")
+            {
+                Monitor.Enter(connection);
+                value = (++connection.counter).ToString();
+                Monitor.Exit(connection);
+            }
+            else if (token == "rs")
+            {
+                value = String.fromCharCode(0x1E);
+            }
+            else
+            {
+                value = match.Value;
+            }
+
+            if (null != value)
+            {
+                result.Append((typeof(value) == "string") ? value : WsJson.Stringify(value));
+            }
+        }
+        result.Append(text.Substring(last));
+        return result.ToString();
+    }
+
+    static function WriteWsMock(connection: WsMockConnection, bytes: byte[])
+    {
+        Monitor.Enter(connection.stream);
+        try
+        {
+            connection.stream.Write(bytes, 0, bytes.Length);
+        }
+        finally
+        {
+            Monitor.Exit(connection.stream);
+        }
+    }
+
+    static function CloseWsMockConnection(connection: WsMockConnection)
+    {
+        Monitor.Enter(connection);
+        connection.closed = true;
+        for (var i = 0; i < connection.timers.Count; i++)
+        {
+            connection.timers[i].Dispose();
+        }
+        connection.timers.Clear();
+        Monitor.Exit(connection);
+        connection.client.Close();
+        wsMockConnections.Remove(connection);
+    }
+
+    //
+    // Fake sessions are posted to http://{WebSocket Fake Host}/. They carry
+    // the x-ws-fake flag, so they are still recognized after the host is
+    // changed, and are answered with 200_SimpleHTML.dat without going out
+    // to the network (as the optional AutoResponder rule does).
+    //
+    static function GetWsFakeHost(): String
+    {
+        var host = sWsFakeHost;
+        return (!String.IsNullOrEmpty(host) && Uri.CheckHostName(host) == UriHostNameType.Dns)
+            ? host.ToLowerInvariant() : "fakewebsocket";
+    }
+
+    static function GetFakeUrl(urlPath: String): String
+    {
+        return "http://" + GetWsFakeHost() + "/" + urlPath;
+    }
+
+    //
+    // The path of a message's fake session, from the WebSocket Fake URL
+    // template. Its tokens are {wsSession}, {messageID}, {direction} (Client
+    // or Server), {frameType}, {method} (SignalR hub method, Socket.IO event
+    // or JSON-RPC method, else the frame type), {size} (payload bytes),
+    // {host} (the connection's host), {json:<path>} (a payload member) and
+    // {decoded}, what the decoders add to the default path (e.g.
+    // "/Invocation/ChatHub.Send/3").
+    //
+    static function GetWsFakeUrlPath(partial: WsPartialMessage, envelope: System.Collections.IDictionary,
+        decodedPath: String): String
+    {
+        var template = sWsFakeUrl;
+        if (String.IsNullOrEmpty(template))
+        {
+            template = "{wsSession}.{messageID}{decoded}";
+        }
+
+        var result = new System.Text.StringBuilder();
+        var last = 0;
+        var matches = System.Text.RegularExpressions.Regex.Matches(template, "\\{([^}]+)\\}");
+        for (var i = 0; i < matches.Count; i++)
+        {
+            var match = matches[i];
+            result.Append(template.Substring(last, match.Index - last));
+            last = match.Index + match.Length;
+
+            var token: String = match.Groups[1].Value.Trim();
+            var value = null;
+            switch (token)
+            {
+            case "wsSession": value = partial.wsSession; break;
+            case "messageID": value = partial.messageID; break;
+            case "direction": value = partial.direction; break;
+            case "frameType": value = partial.messageType; break;
+            case "method": value = GetWsMethodName(envelope); break;
+            case "size": value = partial.payload.Length.ToString(); break;
+            case "host": value = GetWsHost(partial.wsSession); break;
+            case "decoded":
+                // Already a path
+                result.Append(decodedPath);
+                continue;
+            default:
+                if (token.StartsWith("json:"))
+                {
+                    value = WsJson.Select(envelope["payload"], token.Substring(5));
+                }
+                else
+                {
+                    value = match.Value;
+                }
+                break;
+            }
+
+            if (null != value)
+            {
+                result.Append(Uri.EscapeDataString((typeof(value) == "string") ? value : WsJson.Stringify(value)));
+            }
+        }
+        result.Append(template.Substring(last));
+        return result.ToString().TrimStart("/".ToCharArray());
+    }
+
+    static function GetWsMethodName(envelope: System.Collections.IDictionary): String
+    {
+        if (envelope.Contains("signalR"))
+        {
+            var first: System.Collections.IDictionary = envelope["signalR"][0];
+            if (first.Contains("target"))
+            {
+                return first.Contains("hub") ? first["hub"] + "." + first["target"] : first["target"];
+            }
+        }
+        else if (envelope.Contains("socketIo") && envelope["socketIo"].Contains("event"))
+        {
+            return envelope["socketIo"]["event"];
+        }
+        else if (envelope["payload"] instanceof System.Collections.IDictionary &&
+            (typeof(envelope["payload"]["method"]) == "string"))
+        {
+            return envelope["payload"]["method"];
+        }
+        return String(envelope["messageType"]);
+    }
+
+    //
+    // The values shown in the WS Direction, WS Type, WS Size and WS Host columns
+    //
+    static function GetWsColumnFlags(wsSession: String, direction: String, type: String,
+        size: long): System.Collections.Specialized.StringDictionary
+    {
+        var oFlags = new System.Collections.Specialized.StringDictionary();
+        oFlags["x-ws-session"] = wsSession;
+        oFlags["x-ws-host"] = GetWsHost(wsSession);
+        if (null != direction)
+        {
+            oFlags["x-ws-direction"] = direction;
+        }
+        oFlags["x-ws-type"] = type;
+        if (size >= 0)
+        {
+            oFlags["x-ws-size"] = size.ToString();
+        }
+        return oFlags;
+    }
+
+    //
+    // Color rules, set with the wscolor QuickExec command, e.g.
+    // "wscolor blue dir:server" or "wscolor red json:error". The first rule
+    // whose criterion matches colors a message, unless it is already colored
+    // (rewritten, invalid, ...).
+    //
+    static var wsColorRules = new System.Collections.ArrayList();
+
+    static function AddWsColorRule(sParams: String[]): System.Collections.ArrayList
+    {
+        var rule = new WsColorRule();
+        rule.color = sParams[1];
+        if (!System.Text.RegularExpressions.Regex.IsMatch(rule.color, "^#[0-9A-Fa-f]{6}$") &&
+            !System.Drawing.Color.FromName(rule.color).IsKnownColor)
+        {
+            throw new Exception(rule.color + " is not a color name or #RRGGBB");
+        }
+        rule.filter = (sParams.Length > 2) ? ParseWsFilter(sParams[2]) : null;
+        rule.text = rule.color + ((null != rule.filter) ? " " + rule.filter.text : "");
+
+        var result = new System.Collections.ArrayList(wsColorRules);
+        result.Add(rule);
+        return result;
+    }
+
+    static function ApplyWsColorRules(partial: WsPartialMessage, envelope: System.Collections.IDictionary,
+        oFlags: System.Collections.Specialized.StringDictionary)
+    {
+        var rules = wsColorRules;
+        for (var i = 0; i < rules.Count; i++)
+        {
+            var rule: WsColorRule = rules[i];
+            if (null == rule.filter || MatchesWsFilter(rule.filter, partial, envelope))
+            {
+                oFlags["ui-color"] = rule.color;
+                return;
+            }
+        }
+    }
+
+    static function SendRequest(urlPath: String, message: String,
+        oFlags: System.Collections.Specialized.StringDictionary)
+    {
+        var host = GetWsFakeHost();
+        var request = String.Format(
+            "POST http://{3}/{0} HTTP/1.1\n" +
+            "User-Agent: Fiddler\n" +
+            "Content-Type: application/json; charset=utf-8\n" +
+            "Host: {3}\n" +
+            "Content-Length: {1}\n\n{2}",
+            urlPath, System.Text.Encoding.UTF8.GetByteCount(message), message, host);
+
+        if (null == oFlags)
+        {
+            oFlags = new System.Collections.Specialized.StringDictionary();
+        }
+        oFlags["x-ws-fake"] = "true";
+        oFlags["x-replywithfile"] = "200_SimpleHTML.dat";
+        FiddlerApplication.oProxy.SendRequest(request, oFlags);
+    }
+       
+    static function GetWsSession(oMsg: WebSocketMessage)
+    {
+        var message = oMsg.ToString();
+        var index = message.IndexOf(".");
+        var wsSession = message.Substring(0, index);
+       
+        return wsSession;
+    }
+       
+    // These static variables are used for simple breakpointing & other QuickExec rules 
+    BindPref("fiddlerscript.ephemeral.bpRequestURI")
+    public static var bpRequestURI:String = null;
+
+    BindPref("fiddlerscript.ephemeral.bpResponseURI")
+    public static var bpResponseURI:String = null;
+
+    BindPref("fiddlerscript.ephemeral.bpMethod")
+    public static var bpMethod: String = null;
+
+    static var bpStatus:int = -1;
+    static var uiBoldURI: String = null;
+    static var gs_ReplaceToken: String = null;
+    static var gs_ReplaceTokenWith: String = null;
+    static var gs_OverridenHost: String = null;
+    static var gs_OverrideHostWith: String = null;
+
+    // The OnExecAction function is called by either the QuickExec box in the Fiddler window,
+    // or by the ExecAction.exe command line utility.
+    static function OnExecAction(sParams: String[]): Boolean {
+
+    FiddlerObject.StatusText = "ExecAction: " + sParams[0];
+
+    var sAction = sParams[0].toLowerCase();
     switch (sAction) {
     case "bold":
         if (sParams.Length<2) {uiBoldURI=null; FiddlerObject.StatusText="Bolding cleared"; return;}
         uiBoldURI = sParams[1]; FiddlerObject.StatusText="Bolding requests for " + uiBoldURI;
         return true;
     case "bp":
-        FiddlerObject.alert("bpu = breakpoint request for uri\nbpm = breakpoint request method\nbps=breakpoint response status\nbpafter = breakpoint response for URI");
+        FiddlerObject.alert("bpu = breakpoint request for uri\nbpm = breakpoint request method\nbps=breakpoint response status\nbpafter = breakpoint response for URI\nbpws = breakpoint WebSocket message (see wsfilters for criteria)");
         return true;
     case "bps":
         if (sParams.Length<2) {bpStatus=-1; FiddlerObject.StatusText="Response Status breakpoint cleared"; return;}
@@ -495,6 +5752,13 @@ class Handlers
         bpRequestURI = sParams[1]; 
         FiddlerObject.StatusText="RequestURI breakpoint for "+sParams[1];
         return true;
+    case "bpws":
+        if (sParams.Length<2) {bpWebSocket=null; FiddlerObject.StatusText="WebSocket breakpoint cleared"; return;}
+        try {
+            bpWebSocket = ParseWsFilter(sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket breakpoint: " + e.Message; return false; }
+        FiddlerObject.StatusText="WebSocket breakpoint for " + sParams[1];
+        return true;
     case "bpa":
     case "bpafter":
         if (sParams.Length<2) {bpResponseURI=null; FiddlerObject.StatusText="ResponseURI breakpoint cleared"; return;}
@@ -565,25 +5829,2746 @@ class Handlers
     case "quit":
         FiddlerObject.UI.actExit();
         return true;
-    case "dump":
-        FiddlerObject.UI.actSelectAll();
-        FiddlerObject.UI.actSaveSessionsToZip(CONFIG.GetPath("Captures") + "dump.saz");
-        FiddlerObject.UI.actRemoveAllSessions();
-        FiddlerObject.StatusText = "Dumped all sessions to " + CONFIG.GetPath("Captures") + "dump.saz";
+    case "dump":
+        FiddlerObject.UI.actSelectAll();
+        FiddlerObject.UI.actSaveSessionsToZip(CONFIG.GetPath("Captures") + "dump.saz");
+        FiddlerObject.UI.actRemoveAllSessions();
+        FiddlerObject.StatusText = "Dumped all sessions to " + CONFIG.GetPath("Captures") + "dump.saz";
+        return true;
+    case "wsfilter":
+        if (sParams.Length<2) {wsIncludeFilters=new System.Collections.ArrayList(); FiddlerObject.StatusText="WebSocket include filters cleared"; return;}
+        try {
+            wsIncludeFilters = AddWsFilter(wsIncludeFilters, sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket filter: " + e.Message; return false; }
+        FiddlerObject.StatusText="Showing only WebSocket messages matching " + sParams[1];
+        return true;
+    case "wsexclude":
+        if (sParams.Length<2) {wsExcludeFilters=new System.Collections.ArrayList(); FiddlerObject.StatusText="WebSocket exclude filters cleared"; return;}
+        try {
+            wsExcludeFilters = AddWsFilter(wsExcludeFilters, sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket filter: " + e.Message; return false; }
+        FiddlerObject.StatusText="Hiding WebSocket messages matching " + sParams[1];
+        return true;
+    case "wsreplace":
+        if (sParams.Length<2) {wsRewriteRules=ClearWsRewriteRules(true); FiddlerObject.StatusText="WebSocket replacements cleared"; return;}
+        try {
+            wsRewriteRules = AddWsRewriteRule(sParams);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket replacement: " + e.Message; return false; }
+        FiddlerObject.StatusText="Rewriting WebSocket messages: wsreplace " + wsRewriteRules[wsRewriteRules.Count - 1].text;
+        return true;
+    case "wsjson":
+        if (sParams.Length<2) {wsRewriteRules=ClearWsRewriteRules(false); FiddlerObject.StatusText="WebSocket JSON rules cleared"; return;}
+        try {
+            wsRewriteRules = AddWsRewriteRule(sParams);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket JSON rule: " + e.Message; return false; }
+        FiddlerObject.StatusText="Rewriting WebSocket messages: wsjson " + wsRewriteRules[wsRewriteRules.Count - 1].text;
+        return true;
+    case "wssend":
+        if (sParams.Length<4) { FiddlerObject.StatusText="Please specify: wssend <WSSession#> <client|server> <payload>"; return;}
+        var wsSendTarget = sParams[1].StartsWith("WSSession") ? sParams[1] : "WSSession" + sParams[1];
+        var sWsSendFrom = sParams[2].toLowerCase();
+        if (sWsSendFrom != "client" && sWsSendFrom != "server") { FiddlerObject.StatusText="wssend: the direction must be client or server, not " + sParams[2]; return false;}
+        try {
+            InjectWebSocketMessage(wsSendTarget, sWsSendFrom == "client", true,
+                System.Text.Encoding.UTF8.GetBytes(sParams[3]));
+        } catch (e: Exception) { FiddlerObject.StatusText="wssend failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="Sent WebSocket message on " + wsSendTarget;
+        return true;
+    case "wsmock":
+        if (sParams.Length<2) {StopWsMock(); FiddlerObject.StatusText="WebSocket mock stopped"; return;}
+        var sWsMockFile = (sParams[1].toLowerCase() == "on")
+            ? CONFIG.GetPath("Root") + "WebSocketResponder.xml" : sParams[1];
+        try {
+            StartWsMock(LoadWsMocks(sWsMockFile));
+        } catch (e: Exception) { FiddlerObject.StatusText="WebSocket mock failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="WebSocket mock answering " + wsMocks.Count + " mock(s) from " + sWsMockFile;
+        return true;
+    case "wsexport":
+        if (sParams.Length<2) { FiddlerObject.StatusText="Please specify: wsexport <file>"; return;}
+        var oWsExportSessions: Session[] = FiddlerApplication.UI.GetSelectedSessions();
+        if (oWsExportSessions.Length == 0) oWsExportSessions = FiddlerApplication.UI.GetAllSessions();
+        try {
+            var iWsExported = ExportWsConversation(oWsExportSessions, sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="wsexport failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="Exported " + iWsExported + " WebSocket record(s) to " + sParams[1];
+        return true;
+    case "wsimport":
+        if (sParams.Length<2) { FiddlerObject.StatusText="Please specify: wsimport <file> [mock]"; return;}
+        try {
+            var wsImportRecords = ReadWsConversation(sParams[1]);
+            if (sParams.Length>2 && sParams[2].toLowerCase() == "mock") {
+                StartWsMock(BuildWsConversationMocks(wsImportRecords));
+                FiddlerObject.StatusText="WebSocket mock replaying " + wsMocks.Count + " connection(s) from " + sParams[1];
+                return true;
+            }
+            ImportWsConversation(wsImportRecords);
+        } catch (e: Exception) { FiddlerObject.StatusText="wsimport failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="Imported " + wsImportRecords.Count + " WebSocket record(s) from " + sParams[1];
+        return true;
+    case "wshar":
+        if (sParams.Length<2) { FiddlerObject.StatusText="Please specify: wshar <file>"; return;}
+        try {
+            var iWsHarEntries = ExportWsHar(sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="wshar failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="Exported " + iWsHarEntries + " session(s) to " + sParams[1];
+        return true;
+    case "wsstats":
+        var oWsStatsSessions: Session[] = FiddlerApplication.UI.GetSelectedSessions();
+        var wsStatsList = (oWsStatsSessions.Length > 0) ? CollectWsStats(oWsStatsSessions)
+            : GetAllWsStats();
+        if (wsStatsList.Count == 0) { FiddlerObject.StatusText="No WebSocket connection to report on"; return;}
+        if (sParams.Length<2) { FiddlerObject.alert(FormatWsStats(wsStatsList)); return true;}
+        try {
+            System.IO.File.WriteAllText(sParams[1], WsStatsToCsv(wsStatsList), System.Text.Encoding.UTF8);
+        } catch (e: Exception) { FiddlerObject.StatusText="wsstats failed: " + e.Message; return false; }
+        FiddlerObject.StatusText="Saved statistics of " + wsStatsList.Count + " WebSocket connection(s) to " + sParams[1];
+        return true;
+    case "wsdecode":
+        if (sParams.Length<2) {wsDecoderRules=new System.Collections.ArrayList(); FiddlerObject.StatusText="WebSocket decoder rules cleared"; return;}
+        try {
+            wsDecoderRules = AddWsDecoderRule(sParams);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket decoder rule: " + e.Message; return false; }
+        FiddlerObject.StatusText="Decoding WebSocket Binary messages: wsdecode " + wsDecoderRules[wsDecoderRules.Count - 1].text;
+        return true;
+    case "wsdiffignore":
+        if (sParams.Length<2) {wsDiffIgnoredPaths=new System.Collections.ArrayList(); FiddlerObject.StatusText="WebSocket diff ignored paths cleared"; return;}
+        try {
+            wsDiffIgnoredPaths = AddWsDiffIgnoredPath(sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket diff path: " + e.Message; return false; }
+        FiddlerObject.StatusText="WebSocket diffs ignore " + sParams[1];
+        return true;
+    case "wscolor":
+        if (sParams.Length<2) {wsColorRules=new System.Collections.ArrayList(); FiddlerObject.StatusText="WebSocket color rules cleared"; return;}
+        try {
+            wsColorRules = AddWsColorRule(sParams);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket color rule: " + e.Message; return false; }
+        FiddlerObject.StatusText="Coloring WebSocket messages: wscolor " + wsColorRules[wsColorRules.Count - 1].text;
+        return true;
+    case "wsnet":
+        if (sParams.Length<2) {sWsNetworkConditions=null; FiddlerObject.StatusText="WebSocket network conditions turned off"; return;}
+        try {
+            var wsNetworkSpec = String.Join(" ", sParams, 1, sParams.Length - 1);
+            wsNetwork = ParseWsNetworkProfile(wsNetworkSpec);
+            sWsNetworkConditions = wsNetworkSpec;
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket network conditions: " + e.Message; return false; }
+        FiddlerObject.StatusText="WebSocket network conditions: " + DescribeWsNetworkProfile(wsNetwork);
+        return true;
+    case "wsschemas":
+        if (sParams.Length<2) {wsSchemas=null; FiddlerObject.StatusText="WebSocket validation turned off"; return;}
+        try {
+            wsSchemas = LoadWsSchemas(sParams[1]);
+        } catch (e: Exception) { FiddlerObject.StatusText="Invalid WebSocket schema: " + e.Message; return false; }
+        FiddlerObject.StatusText="Validating WebSocket messages against " + wsSchemas.Count + " schema(s) from " + sParams[1];
+        return true;
+    case "wsvalidate":
+        FiddlerObject.alert(DescribeWsValidationFailures());
+        return true;
+    case "wsfilters":
+        FiddlerObject.alert(DescribeWsFilters());
+        return true;
+
+    default:
+        if (sAction.StartsWith("http") || sAction.StartsWith("www")){
+            System.Diagnostics.Process.Start(sParams[0]);
+            return true;
+        }
+        else
+        {
+            FiddlerObject.StatusText = "Requested ExecAction: '" + sAction + "' not found. Type HELP to learn more.";
+            return false;
+        }
+    }
+    }
+}
+
+//
+// A WebSocket message whose frames are still being combined together
+//
+class WsPartialMessage
+{
+    var wsSession: String;
+    var direction: String;
+    var messageID: String;
+    var frameID: int = 0;
+    var messageType: String;
+    var doneTime: DateTime;
+    var payload: System.IO.MemoryStream = new System.IO.MemoryStream();
+    var payloadEncoding: String;
+    var payloadString: String;
+    var compressed: boolean = false;
+    var inflated: boolean = false;
+    var tampering: String = null;
+    var originalPayload: System.IO.MemoryStream = new System.IO.MemoryStream();
+    var partCount: int = 0;
+
+    // Read back by wsimport; it belongs to no live connection, even one with the same wsSession
+    var imported: boolean = false;
+}
+
+//
+// A client message waiting for its reply, see CorrelateMessage
+//
+class WsPendingReply
+{
+    var key: String;
+    var messageID: String;
+    var doneTime: DateTime;
+
+    function WsPendingReply(key: String, messageID: String, doneTime: DateTime)
+    {
+        this.key = key;
+        this.messageID = messageID;
+        this.doneTime = doneTime;
+    }
+}
+
+//
+// A WebSocket connection, with its handshake and traffic counters
+//
+class WsConnection
+{
+    var wsSession: String;
+    var sessionId: int;
+    var handshake: Session;
+    var host: String = "";
+    var url: String = "";
+    var opened: boolean = false;
+    var closed: boolean = false;
+    var socketIo: boolean = false;
+    var endSeen: boolean = false;
+    var clientMessages: int = 0;
+    var serverMessages: int = 0;
+    var clientControlFrames: int = 0;
+    var serverControlFrames: int = 0;
+    var clientBytes: long = 0;
+    var serverBytes: long = 0;
+    var heartbeatPings: int = 0;
+    var heartbeatPongs: int = 0;
+    var heartbeatRttTotal: double = 0;
+    var heartbeatRttCount: int = 0;
+    var lastPingDirection: String = null;
+    var lastPingTime: DateTime;
+    var deflate: boolean = false;
+    var clientNoContextTakeover: boolean = false;
+    var serverNoContextTakeover: boolean = false;
+    var clientInflater: WsInflater = null;
+    var serverInflater: WsInflater = null;
+    var clientContextLostAt: int = -1;
+    var serverContextLostAt: int = -1;
+    var binaryDecoder: String = null;
+}
+
+//
+// A message held at a WebSocket breakpoint, until the dialog on the UI
+// thread sets its result (the payload to release, or null to drop it)
+//
+class WsBreakpointRequest
+{
+    var title: String;
+    var partial: WsPartialMessage;
+    var result: String = null;
+    var done: ManualResetEvent = new ManualResetEvent(false);
+
+    function WsBreakpointRequest(title: String, partial: WsPartialMessage)
+    {
+        this.title = title;
+        this.partial = partial;
+    }
+}
+
+//
+// A frame that was changed before it was forwarded, and what it held before
+//
+class WsTampering
+{
+    var action: String;
+    var originalPayload: byte[];
+
+    function WsTampering(action: String, originalPayload: byte[])
+    {
+        this.action = action;
+        this.originalPayload = originalPayload;
+    }
+}
+
+//
+// WebSocket network conditions, see ParseWsNetworkProfile
+//
+class WsNetworkProfile
+{
+    var spec: String;
+    var latency: int = 0;
+    var jitter: int = 0;
+    var upKbps: int = 0;
+    var downKbps: int = 0;
+    var dropPercent: int = 0;
+    var closeAfterMessages: int = 0;
+    var closeAfterSeconds: int = 0;
+    var closeCode: int = 1001;
+}
+
+class WsNetworkState
+{
+    var opened: DateTime;
+    var messages: int = 0;
+    var closed: boolean = false;
+    var droppingClient: boolean = false;
+    var droppingServer: boolean = false;
+    var clientKeepsContext: boolean = false;
+    var serverKeepsContext: boolean = false;
+    var dropRefusedReported: boolean = false;
+}
+
+//
+// WebSocket mock rules, see LoadWsMocks and WebSocketResponder.xml
+//
+class WsMock
+{
+    var match: String;
+    var onConnect: System.Collections.ArrayList;
+    var pushes: System.Collections.ArrayList;
+    var rules: System.Collections.ArrayList = new System.Collections.ArrayList();
+    var sequential: boolean = false;    // each rule answers once, in order (conversation playback)
+}
+
+class WsMockRule
+{
+    var filter: WsFilter;
+    var expected: String;               // a recorded client message, instead of the filter
+    var expectedJson: WsMockJson;
+    var replies: System.Collections.ArrayList;
+}
+
+// A parsed JSON value, which may be null itself
+class WsMockJson
+{
+    var value: Object;
+}
+
+class WsMockReply
+{
+    var text: String;
+    var delay: int = 0;
+    var interval: int = 0;
+    var repeat: int = -1;
+    var binary: boolean = false;      // text is base64
+    var template: boolean = true;
+}
+
+//
+// A connection accepted by the WebSocket mock server
+//
+class WsMockConnection
+{
+    var client: System.Net.Sockets.TcpClient;
+    var stream: System.Net.Sockets.NetworkStream;
+    var mock: WsMock;
+    var counter: int = 0;
+    var nextRule: int = 0;
+    var closed: boolean = false;
+    var timers: System.Collections.ArrayList = new System.Collections.ArrayList();
+}
+
+//
+// A scheduled mock reply or push
+//
+class WsMockSend
+{
+    var connection: WsMockConnection;
+    var reply: WsMockReply;
+    var request: Object;
+    var remaining: int;
+    var timer: System.Threading.Timer;
+}
+
+//
+// Statistics of one WebSocket connection, see RecordWsStats. Counters are
+// indexed by direction: 0 for the client, 1 for the server.
+//
+class WsStats
+{
+    var wsSession: String;
+    var sessionId: int;
+    var url: String = "";
+    var first: DateTime = DateTime.MaxValue;
+    var last: DateTime = DateTime.MinValue;
+    var messages: int[] = new int[2];
+    var bytes: long[] = new long[2];
+    var parts: int[] = new int[2];
+    var fragmented: int[] = new int[2];
+    var maxParts: int[] = new int[2];
+    var rateSeconds: int = 1;
+    var clientRates: int[];
+    var serverRates: int[];
+    var kinds: System.Collections.ArrayList = new System.Collections.ArrayList();
+    var kindCounts: System.Collections.Hashtable = new System.Collections.Hashtable();
+    var largest: System.Collections.ArrayList = new System.Collections.ArrayList();
+
+    function WsStats(rateRows: int)
+    {
+        clientRates = new int[rateRows];
+        serverRates = new int[rateRows];
+    }
+}
+
+class WsStatsMessage
+{
+    var messageID: String;
+    var bClient: boolean;
+    var size: int;
+}
+
+// Sorts the largest messages first
+class WsStatsMessageSizeComparer implements System.Collections.IComparer
+{
+    function Compare(x: Object, y: Object): int
+    {
+        return WsStatsMessage(y).size - WsStatsMessage(x).size;
+    }
+}
+
+//
+// A message held for its connection's batch session, see DispatchWsMessage
+//
+class WsBatchedMessage
+{
+    var urlPath: String;
+    var envelope: System.Collections.IDictionary;
+    var flags: System.Collections.Specialized.StringDictionary;
+}
+
+//
+// A WebSocket rewrite rule, see ParseWsRewriteRule
+//
+class WsRewriteRule
+{
+    var text: String;
+    var kind: String;
+    var direction: String = null;
+    var host: String = null;
+    var regex: System.Text.RegularExpressions.Regex;
+    var replacement: String;
+    var path: String;
+    var value: Object;
+}
+
+//
+// A WebSocket message filter, see ParseWsFilter
+//
+class WsFilter
+{
+    var text: String;
+    var field: String;
+    var value: String;
+    var path: String;
+    var regex: System.Text.RegularExpressions.Regex;
+}
+
+//
+// Inflates permessage-deflate messages of one direction of a connection,
+// keeping the sliding window from one message to the next
+//
+class WsInflater
+{
+    // Each message is a deflate block sequence whose trailing sync flush
+    // marker (00 00 FF FF) was removed by the sender
+    static var syncFlush: byte[] = [0x00, 0x00, 0xFF, 0xFF];
+
+    var input: WsInflaterInput = new WsInflaterInput();
+    var deflate: System.IO.Compression.DeflateStream;
+
+    function WsInflater()
+    {
+        deflate = new System.IO.Compression.DeflateStream(input,
+            System.IO.Compression.CompressionMode.Decompress);
+    }
+
+    function Inflate(bytes: byte[]): byte[]
+    {
+        input.Append(bytes);
+        input.Append(syncFlush);
+
+        var output = new System.IO.MemoryStream();
+        var buffer: byte[] = new byte[8192];
+        var read: int;
+        while ((read = deflate.Read(buffer, 0, buffer.Length)) > 0)
+        {
+            output.Write(buffer, 0, read);
+        }
+        return output.ToArray();
+    }
+}
+
+//
+// Read-only stream that more bytes can be appended to. It reports the end of
+// the stream whenever it runs out, so DeflateStream stops reading at the end
+// of each message and carries on when the next one is appended.
+//
+class WsInflaterInput extends System.IO.Stream
+{
+    var buffer: byte[] = new byte[0];
+    var offset: int = 0;
+
+    function Append(bytes: byte[])
+    {
+        var remaining = buffer.Length - offset;
+        var combined: byte[] = new byte[remaining + bytes.Length];
+        System.Array.Copy(buffer, offset, combined, 0, remaining);
+        System.Array.Copy(bytes, 0, combined, remaining, bytes.Length);
+        buffer = combined;
+        offset = 0;
+    }
+
+    override function Read(target: byte[], targetOffset: int, count: int): int
+    {
+        var read = System.Math.Min(count, buffer.Length - offset);
+        System.Array.Copy(buffer, offset, target, targetOffset, read);
+        offset += read;
+        return read;
+    }
+
+    override function get CanRead(): boolean { return true; }
+    override function get CanSeek(): boolean { return false; }
+    override function get CanWrite(): boolean { return false; }
+    override function get Length(): long { return buffer.Length - offset; }
+    override function get Position(): long { return 0; }
+    override function set Position(value: long) { throw new NotSupportedException(); }
+    override function Flush() { }
+    override function Seek(position: long, origin: System.IO.SeekOrigin): long { throw new NotSupportedException(); }
+    override function SetLength(value: long) { throw new NotSupportedException(); }
+    override function Write(source: byte[], sourceOffset: int, count: int) { throw new NotSupportedException(); }
+}
+
+//
+// Socket.IO binary attachments still expected after a BINARY_EVENT/BINARY_ACK
+//
+class WsSocketIoAttachments
+{
+    var messageID: String;
+    var expected: int = 0;
+    var received: int = 0;
+}
+
+//
+// A decoder for Binary WebSocket messages, see CreateWsBinaryDecoder.
+// Decode returns JSON-like values (OrderedDictionary, ArrayList, String,
+// numbers, booleans and null) that WsJson can write.
+//
+interface IWsBinaryDecoder
+{
+    function Decode(bytes: byte[]): Object;
+}
+
+//
+// Reads the bytes of a binary message between position and end
+//
+class WsBinaryReader
+{
+    var bytes: byte[];
+    var position: int;
+    var end: int;
+
+    function WsBinaryReader(bytes: byte[], start: int, end: int)
+    {
+        if (start < 0 || end > bytes.Length || start > end)
+        {
+            throw new Exception("Length " + (end - start) + " at byte " + start + " is past the end of the data");
+        }
+        this.bytes = bytes;
+        this.position = start;
+        this.end = end;
+    }
+
+    function AtEnd(): boolean
+    {
+        return position >= end;
+    }
+
+    function PeekByte(): int
+    {
+        if (position >= end) throw new Exception("Unexpected end of data at byte " + position);
+        return bytes[position];
+    }
+
+    function ReadByte(): int
+    {
+        var b = PeekByte();
+        position++;
+        return b;
+    }
+
+    function ReadBytes(count: long): byte[]
+    {
+        if (count < 0 || count > end - position)
+        {
+            throw new Exception("Length " + count + " at byte " + position + " is past the end of the data");
+        }
+        var result: byte[] = new byte[int(count)];
+        Array.Copy(bytes, position, result, 0, int(count));
+        position += int(count);
+        return result;
+    }
+
+    // A big-endian unsigned integer of 1 to 8 bytes (8-byte values above Int64.MaxValue wrap)
+    function ReadUInt(count: int): long
+    {
+        var value: long = 0;
+        for (var i = 0; i < count; i++)
+        {
+            value = (value << 8) | ReadByte();
+        }
+        return value;
+    }
+
+    // A big-endian two's complement integer of 1 to 8 bytes
+    function ReadInt(count: int): long
+    {
+        var value = ReadUInt(count);
+        if (count < 8 && (value & (long(1) << (count * 8 - 1))) != 0)
+        {
+            value -= long(1) << (count * 8);
+        }
+        return value;
+    }
+
+    function ReadVarint(): long
+    {
+        var value: long = 0;
+        for (var shift = 0; shift < 64; shift += 7)
+        {
+            var b = ReadByte();
+            value |= long(b & 0x7F) << shift;
+            if ((b & 0x80) == 0)
+            {
+                return value;
+            }
+        }
+        throw new Exception("Malformed varint at byte " + position);
+    }
+
+    function ReadFloat(count: int, bLittleEndian: boolean): double
+    {
+        var data: byte[] = ReadBytes(count);
+        if (BitConverter.IsLittleEndian != bLittleEndian)
+        {
+            Array.Reverse(data);
+        }
+        return (count == 4) ? BitConverter.ToSingle(data, 0) : BitConverter.ToDouble(data, 0);
+    }
+}
+
+//
+// MessagePack (https://msgpack.org). Binary data becomes base64, map keys
+// that are not strings are written as JSON, and timestamps (extension -1)
+// become ISO 8601 strings. With signalR, the message holds ASP.NET Core
+// SignalR's varint length-prefixed hub messages.
+//
+class WsMessagePackDecoder implements IWsBinaryDecoder
+{
+    var signalR: boolean;
+
+    function WsMessagePackDecoder(signalR: boolean)
+    {
+        this.signalR = signalR;
+    }
+
+    // One value, or an array of the values when there are several
+    function Decode(bytes: byte[]): Object
+    {
+        var reader = new WsBinaryReader(bytes, 0, bytes.Length);
+        var values = new System.Collections.ArrayList();
+        while (!reader.AtEnd())
+        {
+            if (signalR)
+            {
+                var length = reader.ReadVarint();
+                var record = new WsBinaryReader(bytes, reader.position, int(reader.position + length));
+                values.Add(ReadValue(record));
+                if (!record.AtEnd())
+                {
+                    throw new Exception("Extra data in the hub message at byte " + record.position);
+                }
+                reader.position = record.end;
+                continue;
+            }
+            values.Add(ReadValue(reader));
+        }
+        return (values.Count == 1 && !signalR) ? values[0] : values;
+    }
+
+    function ReadValue(reader: WsBinaryReader): Object
+    {
+        var b = reader.ReadByte();
+        if (b <= 0x7F) return long(b);
+        if (b >= 0xE0) return long(b - 0x100);
+        if (b <= 0x8F) return ReadMap(reader, b & 0x0F);
+        if (b <= 0x9F) return ReadArray(reader, b & 0x0F);
+        if (b <= 0xBF) return ReadString(reader, b & 0x1F);
+
+        switch (b)
+        {
+        case 0xC0: return null;
+        case 0xC2: return false;
+        case 0xC3: return true;
+        case 0xC4: return Convert.ToBase64String(reader.ReadBytes(reader.ReadUInt(1)));
+        case 0xC5: return Convert.ToBase64String(reader.ReadBytes(reader.ReadUInt(2)));
+        case 0xC6: return Convert.ToBase64String(reader.ReadBytes(reader.ReadUInt(4)));
+        case 0xC7: return ReadExt(reader, reader.ReadUInt(1));
+        case 0xC8: return ReadExt(reader, reader.ReadUInt(2));
+        case 0xC9: return ReadExt(reader, reader.ReadUInt(4));
+        case 0xCA: return reader.ReadFloat(4, false);
+        case 0xCB: return reader.ReadFloat(8, false);
+        case 0xCC: return reader.ReadUInt(1);
+        case 0xCD: return reader.ReadUInt(2);
+        case 0xCE: return reader.ReadUInt(4);
+        case 0xCF: return reader.ReadUInt(8);
+        case 0xD0: return reader.ReadInt(1);
+        case 0xD1: return reader.ReadInt(2);
+        case 0xD2: return reader.ReadInt(4);
+        case 0xD3: return reader.ReadInt(8);
+        case 0xD4: return ReadExt(reader, 1);
+        case 0xD5: return ReadExt(reader, 2);
+        case 0xD6: return ReadExt(reader, 4);
+        case 0xD7: return ReadExt(reader, 8);
+        case 0xD8: return ReadExt(reader, 16);
+        case 0xD9: return ReadString(reader, reader.ReadUInt(1));
+        case 0xDA: return ReadString(reader, reader.ReadUInt(2));
+        case 0xDB: return ReadString(reader, reader.ReadUInt(4));
+        case 0xDC: return ReadArray(reader, reader.ReadUInt(2));
+        case 0xDD: return ReadArray(reader, reader.ReadUInt(4));
+        case 0xDE: return ReadMap(reader, reader.ReadUInt(2));
+        case 0xDF: return ReadMap(reader, reader.ReadUInt(4));
+        }
+        throw new Exception(String.Format("Invalid MessagePack type 0x{0:X2} at byte {1}", b, reader.position - 1));
+    }
+
+    function ReadString(reader: WsBinaryReader, length: long): String
+    {
+        return System.Text.Encoding.UTF8.GetString(reader.ReadBytes(length));
+    }
+
+    function ReadArray(reader: WsBinaryReader, count: long): System.Collections.ArrayList
+    {
+        var result = new System.Collections.ArrayList();
+        for (var i: long = 0; i < count; i++)
+        {
+            result.Add(ReadValue(reader));
+        }
+        return result;
+    }
+
+    function ReadMap(reader: WsBinaryReader, count: long): System.Collections.Specialized.OrderedDictionary
+    {
+        var result = new System.Collections.Specialized.OrderedDictionary();
+        for (var i: long = 0; i < count; i++)
+        {
+            var key = ReadValue(reader);
+            result[(typeof(key) == "string") ? key : WsJson.Stringify(key)] = ReadValue(reader);
+        }
+        return result;
+    }
+
+    function ReadExt(reader: WsBinaryReader, length: long): Object
+    {
+        var type = reader.ReadInt(1);
+        var data: byte[] = reader.ReadBytes(length);
+        if (type == -1 && (length == 4 || length == 8 || length == 12))
+        {
+            var timestamp = new WsBinaryReader(data, 0, data.Length);
+            var nanoseconds: long = 0;
+            var seconds: long;
+            if (length == 4)
+            {
+                seconds = timestamp.ReadUInt(4);
+            }
+            else if (length == 8)
+            {
+                // 30 bits of nanoseconds, then 34 bits of seconds
+                var value = timestamp.ReadUInt(8);
+                nanoseconds = (value >> 34) & 0x3FFFFFFF;
+                seconds = value & ((long(1) << 34) - 1);
+            }
+            else
+            {
+                nanoseconds = timestamp.ReadUInt(4);
+                seconds = timestamp.ReadInt(8);
+            }
+            return new DateTime(1970, 1, 1, 0, 0, 0, DateTimeKind.Utc).AddSeconds(seconds)
+                .AddTicks(nanoseconds / 100).ToString("yyyy-MM-dd'T'HH:mm:ss.fffffff'Z'");
+        }
+
+        var ext = new System.Collections.Specialized.OrderedDictionary();
+        ext["extType"] = type;
+        ext["data"] = Convert.ToBase64String(data);
+        return ext;
+    }
+}
+
+//
+// CBOR (RFC 8949). Byte strings become base64; tags other than date/time
+// (0, 1) and self-described CBOR (55799) are kept as {"tag":n,"value":...}.
+//
+class WsCborDecoder implements IWsBinaryDecoder
+{
+    // One data item, or an array of the items of a CBOR sequence
+    function Decode(bytes: byte[]): Object
+    {
+        var reader = new WsBinaryReader(bytes, 0, bytes.Length);
+        var values = new System.Collections.ArrayList();
+        while (!reader.AtEnd())
+        {
+            values.Add(ReadValue(reader));
+        }
+        return (values.Count == 1) ? values[0] : values;
+    }
+
+    function ReadValue(reader: WsBinaryReader): Object
+    {
+        var b = reader.ReadByte();
+        var major = b >> 5;
+        var info = b & 0x1F;
+        if (major == 7)
+        {
+            return ReadSimple(reader, info);
+        }
+
+        var argument = ReadArgument(reader, major, info);
+        var i: long;
+        switch (major)
+        {
+        case 0:
+            return argument;
+        case 1:
+            return -1 - argument;
+        case 2:
+            return Convert.ToBase64String(ReadChunks(reader, major, argument));
+        case 3:
+            return System.Text.Encoding.UTF8.GetString(ReadChunks(reader, major, argument));
+        case 4:
+            var array = new System.Collections.ArrayList();
+            for (i = 0; (argument < 0) ? !IsBreak(reader) : i < argument; i++)
+            {
+                array.Add(ReadValue(reader));
+            }
+            return array;
+        case 5:
+            var map = new System.Collections.Specialized.OrderedDictionary();
+            for (i = 0; (argument < 0) ? !IsBreak(reader) : i < argument; i++)
+            {
+                var key = ReadValue(reader);
+                map[(typeof(key) == "string") ? key : WsJson.Stringify(key)] = ReadValue(reader);
+            }
+            return map;
+        default:
+            var value = ReadValue(reader);
+            if (argument == 0 || argument == 1 || argument == 55799)
+            {
+                return value;
+            }
+            var tagged = new System.Collections.Specialized.OrderedDictionary();
+            tagged["tag"] = argument;
+            tagged["value"] = value;
+            return tagged;
+        }
+    }
+
+    // The length or value that follows the initial byte; -1 for indefinite lengths
+    function ReadArgument(reader: WsBinaryReader, major: int, info: int): long
+    {
+        if (info < 24) return info;
+        switch (info)
+        {
+        case 24: return reader.ReadUInt(1);
+        case 25: return reader.ReadUInt(2);
+        case 26: return reader.ReadUInt(4);
+        case 27: return reader.ReadUInt(8);
+        case 31:
+            if (major >= 2 && major <= 5) return -1;
+            break;
+        }
+        throw new Exception("Invalid CBOR additional information " + info + " at byte " + (reader.position - 1));
+    }
+
+    // Consumes the break (0xFF) that ends an indefinite-length item
+    function IsBreak(reader: WsBinaryReader): boolean
+    {
+        if (reader.PeekByte() != 0xFF)
+        {
+            return false;
+        }
+        reader.ReadByte();
+        return true;
+    }
+
+    function ReadChunks(reader: WsBinaryReader, major: int, length: long): byte[]
+    {
+        if (length >= 0)
+        {
+            return reader.ReadBytes(length);
+        }
+
+        var chunks = new System.IO.MemoryStream();
+        while (!IsBreak(reader))
+        {
+            var b = reader.ReadByte();
+            var chunkLength = ReadArgument(reader, major, b & 0x1F);
+            if ((b >> 5) != major || chunkLength < 0)
+            {
+                throw new Exception("Invalid chunk of an indefinite-length string at byte " + (reader.position - 1));
+            }
+            var chunk: byte[] = reader.ReadBytes(chunkLength);
+            chunks.Write(chunk, 0, chunk.Length);
+        }
+        return chunks.ToArray();
+    }
+
+    function ReadSimple(reader: WsBinaryReader, info: int): Object
+    {
+        switch (info)
+        {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return null;   // undefined
+        case 25: return ReadHalfFloat(reader);
+        case 26: return reader.ReadFloat(4, false);
+        case 27: return reader.ReadFloat(8, false);
+        }
+        if (info < 20 || info == 24)
+        {
+            var simple = new System.Collections.Specialized.OrderedDictionary();
+            simple["simple"] = (info == 24) ? reader.ReadByte() : info;
+            return simple;
+        }
+        throw new Exception("Unexpected CBOR break or simple value " + info + " at byte " + (reader.position - 1));
+    }
+
+    function ReadHalfFloat(reader: WsBinaryReader): double
+    {
+        var half = int(reader.ReadUInt(2));
+        var exponent = (half >> 10) & 0x1F;
+        var mantissa = half & 0x3FF;
+        var value: double;
+        if (exponent == 0)
+        {
+            value = mantissa * System.Math.Pow(2, -24);
+        }
+        else if (exponent != 31)
+        {
+            value = (mantissa + 1024) * System.Math.Pow(2, exponent - 25);
+        }
+        else
+        {
+            value = (mantissa == 0) ? Double.PositiveInfinity : Double.NaN;
+        }
+        return ((half & 0x8000) != 0) ? -value : value;
+    }
+}
+
+//
+// Protobuf. Without a schema, fields are named by their numbers, and
+// length-delimited fields become text, a nested message or base64,
+// whichever fits first. With a .proto schema, fields get their names and
+// types. gRPC-web frames (a flag byte and a 4-byte length before each
+// message) are decoded one by one; trailer frames become text.
+//
+class WsProtobufDecoder implements IWsBinaryDecoder
+{
+    var schema: WsProtoSchema;
+    var messageType: WsProtoMessage = null;
+
+    function WsProtobufDecoder(schema: WsProtoSchema, messageName: String)
+    {
+        this.schema = schema;
+        if (null != schema)
+        {
+            messageType = (null != messageName) ? schema.FindMessage(messageName) : schema.firstMessage;
+            if (null == messageType)
+            {
+                throw new Exception("The .proto file does not define message " + messageName);
+            }
+        }
+    }
+
+    function Decode(bytes: byte[]): Object
+    {
+        var frames = SplitGrpcFrames(bytes);
+        if (null == frames)
+        {
+            return DecodeMessage(bytes, messageType);
+        }
+
+        var values = new System.Collections.ArrayList();
+        for (var i = 0; i < frames.Count; i++)
+        {
+            var frame: byte[] = frames[i];
+            var data: byte[] = new byte[frame.Length - 1];
+            Array.Copy(frame, 1, data, 0, data.Length);
+            if ((frame[0] & 0x80) != 0)
+            {
+                var trailers = new System.Collections.Specialized.OrderedDictionary();
+                trailers["grpcTrailers"] = System.Text.Encoding.UTF8.GetString(data);
+                values.Add(trailers);
+            }
+            else
+            {
+                values.Add(DecodeMessage(data, messageType));
+            }
+        }
+        return (values.Count == 1) ? values[0] : values;
+    }
+
+    // The flag byte and data of each gRPC-web frame, or null if the bytes are not gRPC-web frames
+    function SplitGrpcFrames(bytes: byte[]): System.Collections.ArrayList
+    {
+        var frames = new System.Collections.ArrayList();
+        var reader = new WsBinaryReader(bytes, 0, bytes.Length);
+        while (!reader.AtEnd())
+        {
+            if (bytes.Length - reader.position < 5 || (reader.PeekByte() & 0x7E) != 0)
+            {
+                return null;
+            }
+            var flag = reader.ReadByte();
+            var length = reader.ReadUInt(4);
+            if (length > bytes.Length - reader.position)
+            {
+                return null;
+            }
+            var frame: byte[] = new byte[int(length) + 1];
+            frame[0] = byte(flag);
+            Array.Copy(bytes, reader.position, frame, 1, int(length));
+            reader.position += int(length);
+            frames.Add(frame);
+        }
+        return (frames.Count > 0) ? frames : null;
+    }
+
+    function DecodeMessage(bytes: byte[], message: WsProtoMessage): System.Collections.Specialized.OrderedDictionary
+    {
+        var result = new System.Collections.Specialized.OrderedDictionary();
+        var reader = new WsBinaryReader(bytes, 0, bytes.Length);
+        while (!reader.AtEnd())
+        {
+            var key = reader.ReadVarint();
+            var number = int(key >> 3);
+            var wireType = int(key & 7);
+            if (number <= 0)
+            {
+                throw new Exception("Invalid field number " + number + " at byte " + reader.position);
+            }
+
+            var field: WsProtoField = (null != message) ? message.fields[number] : null;
+            var name = (null != field) ? field.name : number.ToString();
+            switch (wireType)
+            {
+            case 0:
+                AddField(result, name, ConvertVarint(reader.ReadVarint(), field), field);
+                break;
+            case 1:
+                AddField(result, name, ConvertFixed(reader.ReadBytes(8), field), field);
+                break;
+            case 5:
+                AddField(result, name, ConvertFixed(reader.ReadBytes(4), field), field);
+                break;
+            case 2:
+                var data: byte[] = reader.ReadBytes(reader.ReadVarint());
+                if (null != field && field.repeated && field.IsPackable())
+                {
+                    AddPackedFields(result, name, data, field);
+                }
+                else
+                {
+                    AddField(result, name, ConvertLengthDelimited(data, field), field);
+                }
+                break;
+            default:
+                throw new Exception("Unsupported wire type " + wireType + " at byte " + reader.position);
+            }
+        }
+        return result;
+    }
+
+    // Repeated fields become arrays, map fields objects
+    function AddField(result: System.Collections.IDictionary, name: String, value: Object, field: WsProtoField)
+    {
+        if (null != field && field.map)
+        {
+            if (!result.Contains(name))
+            {
+                result[name] = new System.Collections.Specialized.OrderedDictionary();
+            }
+            result[name][String(value["key"])] = value["value"];
+        }
+        else if ((null != field) ? field.repeated : result.Contains(name))
+        {
+            if (!result.Contains(name))
+            {
+                result[name] = new System.Collections.ArrayList();
+            }
+            else if (!(result[name] instanceof System.Collections.ArrayList))
+            {
+                var values = new System.Collections.ArrayList();
+                values.Add(result[name]);
+                result[name] = values;
+            }
+            result[name].Add(value);
+        }
+        else
+        {
+            result[name] = value;
+        }
+    }
+
+    function AddPackedFields(result: System.Collections.IDictionary, name: String, data: byte[], field: WsProtoField)
+    {
+        var reader = new WsBinaryReader(data, 0, data.Length);
+        var size = field.GetFixedSize();
+        while (!reader.AtEnd())
+        {
+            AddField(result, name, (size > 0) ? ConvertFixed(reader.ReadBytes(size), field)
+                : ConvertVarint(reader.ReadVarint(), field), field);
+        }
+    }
+
+    function ConvertVarint(value: long, field: WsProtoField): Object
+    {
+        if (null == field)
+        {
+            return value;
+        }
+        switch (field.type)
+        {
+        case "sint32":
+        case "sint64":
+            return ((value >> 1) & Int64.MaxValue) ^ -(value & 1);
+        case "uint32":
+            return value & UInt32.MaxValue;
+        case "uint64":
+            return BitConverter.ToUInt64(BitConverter.GetBytes(value), 0);
+        case "bool":
+            return value != 0;
+        }
+        if (null != field.enumValues)
+        {
+            var enumName = field.enumValues[int(value)];
+            return (null != enumName) ? enumName : value;
+        }
+        return value;
+    }
+
+    // Fixed-size values are little-endian
+    function ConvertFixed(data: byte[], field: WsProtoField): Object
+    {
+        var type = (null != field) ? field.type : null;
+        if (data.Length == 8)
+        {
+            switch (type)
+            {
+            case "double": return BitConverter.ToDouble(data, 0);
+            case "fixed64": return BitConverter.ToUInt64(data, 0);
+            default: return BitConverter.ToInt64(data, 0);
+            }
+        }
+        switch (type)
+        {
+        case "float": return double(BitConverter.ToSingle(data, 0));
+        case "fixed32": return BitConverter.ToUInt32(data, 0);
+        default: return BitConverter.ToInt32(data, 0);
+        }
+    }
+
+    function ConvertLengthDelimited(data: byte[], field: WsProtoField): Object
+    {
+        if (null != field)
+        {
+            if (field.type == "string") return System.Text.Encoding.UTF8.GetString(data);
+            if (field.type == "bytes") return Convert.ToBase64String(data);
+            if (null != field.messageType) return DecodeMessage(data, field.messageType);
+        }
+
+        if (IsText(data))
+        {
+            return System.Text.Encoding.UTF8.GetString(data);
+        }
+        try
+        {
+            return DecodeMessage(data, null);
+        }
+        catch (e: Exception)
+        {
+            return Convert.ToBase64String(data);
+        }
+    }
+
+    // Valid UTF-8 without control characters (other than whitespace)
+    function IsText(data: byte[]): boolean
+    {
+        var text: String;
+        try
+        {
+            text = new System.Text.UTF8Encoding(false, true).GetString(data);
+        }
+        catch (e: Exception)
+        {
+            return false;
+        }
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (Char.IsControl(text[i]) && "\t\r\n".IndexOf(text[i]) < 0)
+            {
+                return false;
+            }
+        }
         return true;
+    }
+}
+
+//
+// The messages and enums of a .proto file. Services, options, extensions
+// and reserved ranges are skipped; groups are not supported.
+//
+class WsProtoSchema
+{
+    static var scalarTypes = " double float int32 int64 uint32 uint64 sint32 sint64 " +
+        "fixed32 fixed64 sfixed32 sfixed64 bool string bytes ";
+
+    var messages = new System.Collections.Hashtable();   // full name -> WsProtoMessage
+    var enums = new System.Collections.Hashtable();      // full name -> Hashtable of number -> name
+    var fields = new System.Collections.ArrayList();     // every field, to resolve their types
+    var firstMessage: WsProtoMessage = null;
+    var tokens = new System.Collections.ArrayList();
+    var index = 0;
+
+    static function Load(sFilename: String): WsProtoSchema
+    {
+        var schema = new WsProtoSchema();
+        schema.Parse(System.IO.File.ReadAllText(sFilename));
+        schema.ResolveTypes();
+        return schema;
+    }
+
+    static function IsScalar(type: String): boolean
+    {
+        return scalarTypes.IndexOf(" " + type + " ") >= 0;
+    }
+
+    // A message by its full name, or by its name alone
+    function FindMessage(name: String): WsProtoMessage
+    {
+        if (null != messages[name])
+        {
+            return messages[name];
+        }
+        for (var entry in messages)
+        {
+            if (entry.Key.EndsWith("." + name))
+            {
+                return entry.Value;
+            }
+        }
+        return null;
+    }
+
+    function Parse(text: String)
+    {
+        var matches = System.Text.RegularExpressions.Regex.Matches(text,
+            "\\s+|//[^\\n]*|/\\*[\\s\\S]*?\\*/|(\"(?:[^\"\\\\]|\\\\.)*\"|'(?:[^'\\\\]|\\\\.)*'|[A-Za-z_.][\\w.]*|-?\\d[\\w.]*|[{}\\[\\]<>;=,()])|(\\S)");
+        for (var i = 0; i < matches.Count; i++)
+        {
+            if (matches[i].Groups[2].Success)
+            {
+                throw new Exception("Unexpected '" + matches[i].Value + "' in the .proto file");
+            }
+            if (matches[i].Groups[1].Success)
+            {
+                tokens.Add(matches[i].Groups[1].Value);
+            }
+        }
+
+        var packageName = "";
+        while (index < tokens.Count)
+        {
+            var token = Next();
+            switch (token)
+            {
+            case "package":
+                packageName = Next() + ".";
+                Expect(";");
+                break;
+            case "message":
+                ParseMessage(packageName);
+                break;
+            case "enum":
+                ParseEnum(packageName);
+                break;
+            case "service":
+            case "extend":
+                SkipBlock();
+                break;
+            case ";":
+                break;
+            default:
+                // syntax, edition, import, option
+                SkipStatement();
+                break;
+            }
+        }
+    }
+
+    function ParseMessage(scope: String)
+    {
+        var message = new WsProtoMessage();
+        message.fullName = scope + Next();
+        messages[message.fullName] = message;
+        if (null == firstMessage)
+        {
+            firstMessage = message;
+        }
+        Expect("{");
+        ParseMessageBody(message);
+    }
+
+    function ParseMessageBody(message: WsProtoMessage)
+    {
+        var scope = message.fullName + ".";
+        while (true)
+        {
+            var token = Next();
+            switch (token)
+            {
+            case "}":
+                return;
+            case ";":
+                break;
+            case "message":
+                ParseMessage(scope);
+                break;
+            case "enum":
+                ParseEnum(scope);
+                break;
+            case "extend":
+                SkipBlock();
+                break;
+            case "option":
+            case "reserved":
+            case "extensions":
+                SkipStatement();
+                break;
+            case "oneof":
+                // The fields of a oneof are fields of the message
+                Next();
+                Expect("{");
+                ParseMessageBody(message);
+                break;
+            case "map":
+                Expect("<");
+                var keyType = Next();
+                Expect(",");
+                var valueType = Next();
+                Expect(">");
+                var mapField = ParseField(message, "map");
+                mapField.map = true;
+                mapField.repeated = true;
+                mapField.messageType = new WsProtoMessage();
+                mapField.messageType.fullName = scope + mapField.name + "Entry";
+                AddField(mapField.messageType, "key", 1, keyType, scope);
+                AddField(mapField.messageType, "value", 2, valueType, scope);
+                break;
+            case "group":
+                throw new Exception("Protobuf groups are not supported");
+            default:
+                var bRepeated = token == "repeated";
+                var field = ParseField(message,
+                    (token == "repeated" || token == "optional" || token == "required") ? Next() : token);
+                field.repeated = bRepeated;
+                break;
+            }
+        }
+    }
+
+    // "<name> = <number> [options];" after the field's type
+    function ParseField(message: WsProtoMessage, type: String): WsProtoField
+    {
+        var name = Next();
+        Expect("=");
+        var field = AddField(message, name, int.Parse(Next()), type, message.fullName + ".");
+        SkipOptions();
+        Expect(";");
+        return field;
+    }
+
+    function AddField(message: WsProtoMessage, name: String, number: int, type: String, scope: String): WsProtoField
+    {
+        var field = new WsProtoField();
+        field.name = name;
+        field.number = number;
+        field.type = type;
+        field.scope = scope;
+        message.fields[number] = field;
+        fields.Add(field);
+        return field;
+    }
+
+    function ParseEnum(scope: String)
+    {
+        var values = new System.Collections.Hashtable();
+        enums[scope + Next()] = values;
+        Expect("{");
+        while (true)
+        {
+            var token = Next();
+            if (token == "}")
+            {
+                return;
+            }
+            if (token == ";")
+            {
+                continue;
+            }
+            if (token == "option" || token == "reserved")
+            {
+                SkipStatement();
+                continue;
+            }
+            Expect("=");
+            var number = int.Parse(Next());
+            SkipOptions();
+            Expect(";");
+            if (!values.ContainsKey(number))
+            {
+                // The first name of aliased values
+                values[number] = token;
+            }
+        }
+    }
+
+    //
+    // Types are looked up like protoc does: from the innermost scope
+    // outwards, or from the root for names starting with a dot
+    //
+    function ResolveTypes()
+    {
+        for (var i = 0; i < fields.Count; i++)
+        {
+            var field: WsProtoField = fields[i];
+            if (IsScalar(field.type) || field.map)
+            {
+                continue;
+            }
+
+            var scope = field.scope;
+            var found = false;
+            while (!found)
+            {
+                var name = field.type.StartsWith(".") ? field.type.Substring(1) : scope + field.type;
+                if (null != messages[name])
+                {
+                    field.messageType = messages[name];
+                    found = true;
+                }
+                else if (null != enums[name])
+                {
+                    field.enumValues = enums[name];
+                    found = true;
+                }
+                else if (scope == "" || field.type.StartsWith("."))
+                {
+                    throw new Exception("Unknown type " + field.type + " of field " + field.name);
+                }
+                else
+                {
+                    var dot = scope.LastIndexOf(".", scope.Length - 2);
+                    scope = (dot < 0) ? "" : scope.Substring(0, dot + 1);
+                }
+            }
+        }
+    }
+
+    function Next(): String
+    {
+        if (index >= tokens.Count)
+        {
+            throw new Exception("Unexpected end of the .proto file");
+        }
+        return tokens[index++];
+    }
+
+    function Expect(expected: String)
+    {
+        var token = Next();
+        if (token != expected)
+        {
+            throw new Exception("Expected '" + expected + "' but found '" + token + "' in the .proto file");
+        }
+    }
+
+    function SkipOptions()
+    {
+        if (index < tokens.Count && tokens[index] == "[")
+        {
+            while (Next() != "]")
+            {
+            }
+        }
+    }
+
+    // Up to the next ";" outside braces (aggregate option values)
+    function SkipStatement()
+    {
+        var depth = 0;
+        while (true)
+        {
+            var token = Next();
+            if (token == "{") depth++;
+            else if (token == "}") depth--;
+            else if (token == ";" && depth == 0) return;
+        }
+    }
+
+    function SkipBlock()
+    {
+        while (Next() != "{")
+        {
+        }
+        var depth = 1;
+        while (depth > 0)
+        {
+            var token = Next();
+            if (token == "{") depth++;
+            else if (token == "}") depth--;
+        }
+    }
+}
+
+class WsProtoMessage
+{
+    var fullName: String;
+    var fields = new System.Collections.Hashtable();     // number -> WsProtoField
+}
+
+class WsProtoField
+{
+    var name: String;
+    var number: int;
+    var type: String;
+    var scope: String;
+    var repeated: boolean = false;
+    var map: boolean = false;
+    var messageType: WsProtoMessage = null;
+    var enumValues: System.Collections.Hashtable = null;
+
+    // Only repeated scalar numbers can be packed
+    function IsPackable(): boolean
+    {
+        return (WsProtoSchema.IsScalar(type) && type != "string" && type != "bytes") || null != enumValues;
+    }
 
-    default:
-        if (sAction.StartsWith("http") || sAction.StartsWith("www")){
-            System.Diagnostics.Process.Start(sParams[0]);
+    // The size of fixed-size types, 0 for varints
+    function GetFixedSize(): int
+    {
+        switch (type)
+        {
+        case "double":
+        case "fixed64":
+        case "sfixed64":
+            return 8;
+        case "float":
+        case "fixed32":
+        case "sfixed32":
+            return 4;
+        }
+        return 0;
+    }
+}
+
+//
+// A color rule, see AddWsColorRule
+//
+class WsColorRule
+{
+    var text: String;
+    var color: String;
+    var filter: WsFilter;
+}
+
+//
+// A binary decoder rule, see AddWsDecoderRule
+//
+class WsDecoderRule
+{
+    var text: String;
+    var decoder: String;
+    var filter: WsFilter;
+}
+
+//
+// A JSON Schema loaded by wsschemas, and the messages it applies to
+//
+class WsSchema
+{
+    var name: String;
+    var schema: Object;
+    var kind: String;       // hubMethod, event, path, or name (hub method or event from the file name)
+    var key: String;
+    var value: String;
+    var direction: String;
+}
+
+//
+// A JSON Schema (draft-07) validator for the values WsJson reads. It covers
+// type, enum, const, the string, number, array and object keywords, allOf,
+// anyOf, oneOf, not, if/then/else and local $refs ("#/definitions/...").
+// format and remote $refs are ignored. Check is run when a schema is
+// loaded, so that validating a message cannot fail or loop on the schema
+// itself.
+//
+class WsJsonSchema
+{
+    // Compiled "pattern" and "patternProperties" regexes, keyed by pattern
+    static var regexes = System.Collections.Hashtable.Synchronized(new System.Collections.Hashtable());
+
+    //
+    // Resolve every local $ref and compile every regex of a schema, throwing
+    // an exception that names the first one that is broken or that leads
+    // back to itself
+    //
+    static function Check(schema: Object, root: Object, location: String)
+    {
+        if (schema instanceof System.Collections.IList)
+        {
+            for (var i = 0; i < schema.Count; i++)
+            {
+                Check(schema[i], root, location + "/" + i);
+            }
+            return;
+        }
+        if (!(schema instanceof System.Collections.IDictionary))
+        {
+            return;
+        }
+
+        for (var entry in schema)
+        {
+            var keyword = String(entry.Key);
+            var keywordLocation = location + "/" + keyword;
+            try
+            {
+                if (keyword == "$ref")
+                {
+                    ResolveRef(root, String(entry.Value));
+                    CheckRefCycle(schema, root, new System.Collections.ArrayList());
+                }
+                else if (keyword == "pattern")
+                {
+                    GetRegex(String(entry.Value));
+                }
+                else if (keyword == "patternProperties" && entry.Value instanceof System.Collections.IDictionary)
+                {
+                    for (var pattern in entry.Value)
+                    {
+                        GetRegex(String(pattern.Key));
+                    }
+                }
+            }
+            catch (e: Exception)
+            {
+                throw new Exception(keywordLocation + ": " + e.Message);
+            }
+
+            // Maps of names to schemas; the names are not keywords
+            if ((keyword == "properties" || keyword == "patternProperties" || keyword == "definitions") &&
+                entry.Value instanceof System.Collections.IDictionary)
+            {
+                for (var member in entry.Value)
+                {
+                    Check(member.Value, root, keywordLocation + "/" + member.Key);
+                }
+            }
+            // Values, not schemas
+            else if (keyword != "enum" && keyword != "const" && keyword != "default" && keyword != "examples")
+            {
+                Check(entry.Value, root, keywordLocation);
+            }
+        }
+    }
+
+    //
+    // A $ref that comes back to a schema it is followed from without going
+    // into a property or an item, e.g. {"$ref": "#"} or two definitions
+    // referring to each other (directly or through allOf, not, if, ...),
+    // would validate the same value over and over until the stack overflows
+    //
+    static function CheckRefCycle(schema: Object, root: Object, following: System.Collections.ArrayList)
+    {
+        var i;
+        if (schema instanceof System.Collections.IList)
+        {
+            for (i = 0; i < schema.Count; i++)
+            {
+                CheckRefCycle(schema[i], root, following);
+            }
+            return;
+        }
+        if (!(schema instanceof System.Collections.IDictionary))
+        {
+            return;
+        }
+        if (following.Contains(schema))
+        {
+            throw new Exception("$ref leads back to itself");
+        }
+
+        var s: System.Collections.IDictionary = schema;
+        following.Add(s);
+        if (s.Contains("$ref"))
+        {
+            CheckRefCycle(ResolveRef(root, String(s["$ref"])), root, following);
+        }
+        else
+        {
+            // The keywords that apply their schemas to the same value
+            var keywords = ["allOf", "anyOf", "oneOf", "not", "if", "then", "else"];
+            for (i = 0; i < keywords.length; i++)
+            {
+                if (s.Contains(keywords[i]))
+                {
+                    CheckRefCycle(s[keywords[i]], root, following);
+                }
+            }
+        }
+        following.RemoveAt(following.Count - 1);
+    }
+
+    static function GetRegex(pattern: String): System.Text.RegularExpressions.Regex
+    {
+        var regex: System.Text.RegularExpressions.Regex = regexes[pattern];
+        if (null == regex)
+        {
+            regex = new System.Text.RegularExpressions.Regex(pattern);
+            regexes[pattern] = regex;
+        }
+        return regex;
+    }
+
+    static function Validate(schema: Object, instance: Object, root: Object, path: String,
+        errors: System.Collections.ArrayList)
+    {
+        if (typeof(schema) == "boolean")
+        {
+            if (!schema) errors.Add(path + ": no value is allowed here");
+            return;
+        }
+        if (!(schema instanceof System.Collections.IDictionary))
+        {
+            return;
+        }
+        var s: System.Collections.IDictionary = schema;
+
+        if (s.Contains("$ref"))
+        {
+            // Check rejects such cycles on load; a chain of $refs is still never followed round
+            var following = new System.Collections.ArrayList();
+            var target: Object = s;
+            while (target instanceof System.Collections.IDictionary && target.Contains("$ref"))
+            {
+                if (following.Contains(target))
+                {
+                    errors.Add(String.Format("{0}: $ref {1} leads back to itself", path, target["$ref"]));
+                    return;
+                }
+                following.Add(target);
+                target = ResolveRef(root, String(target["$ref"]));
+            }
+            if (null != target)
+            {
+                Validate(target, instance, root, path, errors);
+            }
+            // In draft-07, keywords next to $ref are ignored
+            return;
+        }
+
+        if (s.Contains("type") && !MatchesType(s["type"], instance))
+        {
+            errors.Add(String.Format("{0}: expected {1} but found {2}", path, WsJson.Stringify(s["type"]), GetType(instance)));
+            return;
+        }
+        if (s.Contains("const") && !JsonEquals(s["const"], instance))
+        {
+            errors.Add(String.Format("{0}: expected {1}", path, WsJson.Stringify(s["const"])));
+        }
+        if (s.Contains("enum") && !InEnum(s["enum"], instance))
+        {
+            errors.Add(String.Format("{0}: {1} is not one of {2}", path, WsJson.Stringify(instance), WsJson.Stringify(s["enum"])));
+        }
+
+        var type = GetType(instance);
+        if (type == "string")
+        {
+            ValidateString(s, instance, path, errors);
+        }
+        else if (type == "integer" || type == "number")
+        {
+            ValidateNumber(s, Convert.ToDouble(instance), path, errors);
+        }
+        else if (type == "array")
+        {
+            ValidateArray(s, instance, root, path, errors);
+        }
+        else if (type == "object")
+        {
+            ValidateObject(s, instance, root, path, errors);
+        }
+
+        ValidateCombinations(s, instance, root, path, errors);
+    }
+
+    static function ValidateString(s: System.Collections.IDictionary, value: String, path: String,
+        errors: System.Collections.ArrayList)
+    {
+        var length = CountCodePoints(value);
+        if (s.Contains("minLength") && length < Convert.ToInt32(s["minLength"]))
+        {
+            errors.Add(String.Format("{0}: shorter than {1} characters", path, s["minLength"]));
+        }
+        if (s.Contains("maxLength") && length > Convert.ToInt32(s["maxLength"]))
+        {
+            errors.Add(String.Format("{0}: longer than {1} characters", path, s["maxLength"]));
+        }
+        if (s.Contains("pattern") && !GetRegex(String(s["pattern"])).IsMatch(value))
+        {
+            errors.Add(String.Format("{0}: does not match /{1}/", path, s["pattern"]));
+        }
+    }
+
+    // JSON Schema lengths count code points: a surrogate pair is one character
+    static function CountCodePoints(value: String): int
+    {
+        var count = value.Length;
+        for (var i = 0; i + 1 < value.Length; i++)
+        {
+            if (Char.IsSurrogatePair(value, i))
+            {
+                count--;
+                i++;
+            }
+        }
+        return count;
+    }
+
+    static function ValidateNumber(s: System.Collections.IDictionary, value: double, path: String,
+        errors: System.Collections.ArrayList)
+    {
+        if (s.Contains("minimum") && value < Convert.ToDouble(s["minimum"]))
+        {
+            errors.Add(String.Format("{0}: less than the minimum {1}", path, s["minimum"]));
+        }
+        if (s.Contains("maximum") && value > Convert.ToDouble(s["maximum"]))
+        {
+            errors.Add(String.Format("{0}: greater than the maximum {1}", path, s["maximum"]));
+        }
+        if (s.Contains("exclusiveMinimum") && value <= Convert.ToDouble(s["exclusiveMinimum"]))
+        {
+            errors.Add(String.Format("{0}: not greater than {1}", path, s["exclusiveMinimum"]));
+        }
+        if (s.Contains("exclusiveMaximum") && value >= Convert.ToDouble(s["exclusiveMaximum"]))
+        {
+            errors.Add(String.Format("{0}: not less than {1}", path, s["exclusiveMaximum"]));
+        }
+        if (s.Contains("multipleOf"))
+        {
+            var quotient = value / Convert.ToDouble(s["multipleOf"]);
+            if (System.Math.Abs(quotient - System.Math.Round(quotient)) > 1e-9)
+            {
+                errors.Add(String.Format("{0}: not a multiple of {1}", path, s["multipleOf"]));
+            }
+        }
+    }
+
+    static function ValidateArray(s: System.Collections.IDictionary, items: System.Collections.IList, root: Object,
+        path: String, errors: System.Collections.ArrayList)
+    {
+        if (s.Contains("minItems") && items.Count < Convert.ToInt32(s["minItems"]))
+        {
+            errors.Add(String.Format("{0}: fewer than {1} items", path, s["minItems"]));
+        }
+        if (s.Contains("maxItems") && items.Count > Convert.ToInt32(s["maxItems"]))
+        {
+            errors.Add(String.Format("{0}: more than {1} items", path, s["maxItems"]));
+        }
+
+        var i;
+        if (s["items"] instanceof System.Collections.IList)
+        {
+            // Tuple validation, with additionalItems for the rest
+            var tuple: System.Collections.IList = s["items"];
+            for (i = 0; i < items.Count; i++)
+            {
+                if (i < tuple.Count)
+                {
+                    Validate(tuple[i], items[i], root, path + "[" + i + "]", errors);
+                }
+                else if (s.Contains("additionalItems"))
+                {
+                    Validate(s["additionalItems"], items[i], root, path + "[" + i + "]", errors);
+                }
+            }
+        }
+        else if (s.Contains("items"))
+        {
+            for (i = 0; i < items.Count; i++)
+            {
+                Validate(s["items"], items[i], root, path + "[" + i + "]", errors);
+            }
+        }
+
+        if (s.Contains("contains"))
+        {
+            var bFound = false;
+            for (i = 0; i < items.Count && !bFound; i++)
+            {
+                bFound = IsValid(s["contains"], items[i], root);
+            }
+            if (!bFound)
+            {
+                errors.Add(path + ": no item matches \"contains\"");
+            }
+        }
+
+        if (true == s["uniqueItems"])
+        {
+            for (i = 0; i < items.Count; i++)
+            {
+                for (var j = i + 1; j < items.Count; j++)
+                {
+                    if (JsonEquals(items[i], items[j]))
+                    {
+                        errors.Add(String.Format("{0}: items {1} and {2} are equal", path, i, j));
+                    }
+                }
+            }
+        }
+    }
+
+    static function ValidateObject(s: System.Collections.IDictionary, members: System.Collections.IDictionary,
+        root: Object, path: String, errors: System.Collections.ArrayList)
+    {
+        var i;
+        if (s["required"] instanceof System.Collections.IList)
+        {
+            var required: System.Collections.IList = s["required"];
+            for (i = 0; i < required.Count; i++)
+            {
+                if (!members.Contains(required[i]))
+                {
+                    errors.Add(String.Format("{0}: missing required property \"{1}\"", path, required[i]));
+                }
+            }
+        }
+        if (s.Contains("minProperties") && members.Count < Convert.ToInt32(s["minProperties"]))
+        {
+            errors.Add(String.Format("{0}: fewer than {1} properties", path, s["minProperties"]));
+        }
+        if (s.Contains("maxProperties") && members.Count > Convert.ToInt32(s["maxProperties"]))
+        {
+            errors.Add(String.Format("{0}: more than {1} properties", path, s["maxProperties"]));
+        }
+
+        var properties: System.Collections.IDictionary =
+            (s["properties"] instanceof System.Collections.IDictionary) ? s["properties"] : null;
+        var patterns: System.Collections.IDictionary =
+            (s["patternProperties"] instanceof System.Collections.IDictionary) ? s["patternProperties"] : null;
+        for (var member in members)
+        {
+            var name = String(member.Key);
+            var memberPath = path + "." + name;
+            var bMatched = false;
+            if (null != properties && properties.Contains(name))
+            {
+                Validate(properties[name], member.Value, root, memberPath, errors);
+                bMatched = true;
+            }
+            if (null != patterns)
+            {
+                for (var pattern in patterns)
+                {
+                    if (GetRegex(String(pattern.Key)).IsMatch(name))
+                    {
+                        Validate(pattern.Value, member.Value, root, memberPath, errors);
+                        bMatched = true;
+                    }
+                }
+            }
+            if (!bMatched && s.Contains("additionalProperties"))
+            {
+                if (false == s["additionalProperties"])
+                {
+                    errors.Add(String.Format("{0}: unexpected property \"{1}\"", path, name));
+                }
+                else
+                {
+                    Validate(s["additionalProperties"], member.Value, root, memberPath, errors);
+                }
+            }
+            if (s.Contains("propertyNames"))
+            {
+                Validate(s["propertyNames"], name, root, memberPath + " (name)", errors);
+            }
+        }
+    }
+
+    static function ValidateCombinations(s: System.Collections.IDictionary, instance: Object, root: Object,
+        path: String, errors: System.Collections.ArrayList)
+    {
+        var i, iValid;
+        if (s["allOf"] instanceof System.Collections.IList)
+        {
+            for (i = 0; i < s["allOf"].Count; i++)
+            {
+                Validate(s["allOf"][i], instance, root, path, errors);
+            }
+        }
+        if (s["anyOf"] instanceof System.Collections.IList)
+        {
+            iValid = CountValid(s["anyOf"], instance, root);
+            if (iValid == 0)
+            {
+                errors.Add(path + ": matches none of the \"anyOf\" schemas");
+            }
+        }
+        if (s["oneOf"] instanceof System.Collections.IList)
+        {
+            iValid = CountValid(s["oneOf"], instance, root);
+            if (iValid != 1)
+            {
+                errors.Add(String.Format("{0}: matches {1} of the \"oneOf\" schemas instead of one", path, iValid));
+            }
+        }
+        if (s.Contains("not") && IsValid(s["not"], instance, root))
+        {
+            errors.Add(path + ": matches the \"not\" schema");
+        }
+        if (s.Contains("if"))
+        {
+            var branch = IsValid(s["if"], instance, root) ? "then" : "else";
+            if (s.Contains(branch))
+            {
+                Validate(s[branch], instance, root, path, errors);
+            }
+        }
+    }
+
+    static function IsValid(schema: Object, instance: Object, root: Object): boolean
+    {
+        var errors = new System.Collections.ArrayList();
+        Validate(schema, instance, root, "$", errors);
+        return errors.Count == 0;
+    }
+
+    static function CountValid(schemas: System.Collections.IList, instance: Object, root: Object): int
+    {
+        var iValid = 0;
+        for (var i = 0; i < schemas.Count; i++)
+        {
+            if (IsValid(schemas[i], instance, root)) iValid++;
+        }
+        return iValid;
+    }
+
+    // A JSON pointer into the schema document, e.g. "#/definitions/message"
+    static function ResolveRef(root: Object, reference: String): Object
+    {
+        if (!reference.StartsWith("#"))
+        {
+            return null;
+        }
+        var target = root;
+        var segments = reference.Substring(1).Split("/".ToCharArray());
+        for (var i = 0; i < segments.Length; i++)
+        {
+            if (segments[i] == "")
+            {
+                continue;
+            }
+            var segment = Uri.UnescapeDataString(segments[i]).Replace("~1", "/").Replace("~0", "~");
+            if (target instanceof System.Collections.IDictionary && target.Contains(segment))
+            {
+                target = target[segment];
+            }
+            else if (target instanceof System.Collections.IList &&
+                System.Text.RegularExpressions.Regex.IsMatch(segment, "^\\d{1,9}$") &&
+                int.Parse(segment) < target.Count)
+            {
+                target = target[int.Parse(segment)];
+            }
+            else
+            {
+                throw new Exception("Cannot resolve $ref " + reference);
+            }
+        }
+        return target;
+    }
+
+    static function GetType(value: Object): String
+    {
+        if (null == value) return "null";
+        if (value instanceof System.Collections.IDictionary) return "object";
+        if (value instanceof System.Collections.IList) return "array";
+        if (typeof(value) == "boolean") return "boolean";
+        if (value instanceof Double)
+        {
+            var d: double = value;
+            return (System.Math.Floor(d) == d) ? "integer" : "number";
+        }
+        if (typeof(value) == "number") return "integer";
+        return "string";
+    }
+
+    static function MatchesType(expected: Object, value: Object): boolean
+    {
+        if (expected instanceof System.Collections.IList)
+        {
+            for (var i = 0; i < expected.Count; i++)
+            {
+                if (MatchesType(expected[i], value)) return true;
+            }
+            return false;
+        }
+        var type = GetType(value);
+        return type == expected || (expected == "number" && type == "integer");
+    }
+
+    static function InEnum(values: Object, value: Object): boolean
+    {
+        if (!(values instanceof System.Collections.IList))
+        {
             return true;
         }
-        else
+        for (var i = 0; i < values.Count; i++)
+        {
+            if (JsonEquals(values[i], value)) return true;
+        }
+        return false;
+    }
+
+    // Numbers compare by value (1 equals 1.0); objects ignore member order
+    static function JsonEquals(a: Object, b: Object): boolean
+    {
+        var typeA = GetType(a), typeB = GetType(b);
+        if ((typeA == "integer" || typeA == "number") && (typeB == "integer" || typeB == "number"))
+        {
+            return Convert.ToDouble(a) == Convert.ToDouble(b);
+        }
+        if (typeA != typeB)
         {
-            FiddlerObject.StatusText = "Requested ExecAction: '" + sAction + "' not found. Type HELP to learn more.";
             return false;
         }
+        if (typeA == "object")
+        {
+            if (a.Count != b.Count) return false;
+            for (var entry in a)
+            {
+                if (!b.Contains(entry.Key) || !JsonEquals(entry.Value, b[entry.Key])) return false;
+            }
+            return true;
+        }
+        if (typeA == "array")
+        {
+            if (a.Count != b.Count) return false;
+            for (var i = 0; i < a.Count; i++)
+            {
+                if (!JsonEquals(a[i], b[i])) return false;
+            }
+            return true;
+        }
+        return (null == a) ? true : a.Equals(b);
+    }
+}
+
+//
+// A path left out of WebSocket payload diffs, see AddWsDiffIgnoredPath.
+// Paths are matched in WsJsonDiff's "$.A[0].name" form, so "A[*].name" and
+// "$.A[*].name" both ignore the name of every item of A.
+//
+class WsDiffIgnoredPath
+{
+    var text: String;
+    var regex: System.Text.RegularExpressions.Regex;
+
+    function WsDiffIgnoredPath(path: String)
+    {
+        text = path;
+        var pattern = path.StartsWith("$") ? path : (path.StartsWith("[") ? "$" + path : "$." + path);
+        pattern = System.Text.RegularExpressions.Regex.Escape(pattern).Replace("\\*", "[^.\\[\\]]+");
+        regex = new System.Text.RegularExpressions.Regex("^" + pattern + "$");
+    }
+}
+
+//
+// A structural diff of two values WsJson reads: one line per member or
+// item that was added, removed or changed, e.g. "$.A[0].text: "hi" -> "hello""
+//
+class WsJsonDiff
+{
+    static function Compare(a: Object, b: Object, path: String, ignored: System.Collections.ArrayList,
+        diffs: System.Collections.ArrayList)
+    {
+        if (IsIgnored(path, ignored))
+        {
+            return;
+        }
+
+        var typeA = WsJsonSchema.GetType(a), typeB = WsJsonSchema.GetType(b);
+        var i;
+        if (typeA == "object" && typeB == "object")
+        {
+            for (var entryA in a)
+            {
+                var memberPath = path + "." + entryA.Key;
+                if (b.Contains(entryA.Key))
+                {
+                    Compare(entryA.Value, b[entryA.Key], memberPath, ignored, diffs);
+                }
+                else if (!IsIgnored(memberPath, ignored))
+                {
+                    diffs.Add(memberPath + ": removed " + Shorten(entryA.Value));
+                }
+            }
+            for (var entryB in b)
+            {
+                if (!a.Contains(entryB.Key) && !IsIgnored(path + "." + entryB.Key, ignored))
+                {
+                    diffs.Add(path + "." + entryB.Key + ": added " + Shorten(entryB.Value));
+                }
+            }
+        }
+        else if (typeA == "array" && typeB == "array")
+        {
+            for (i = 0; i < a.Count || i < b.Count; i++)
+            {
+                var itemPath = path + "[" + i + "]";
+                if (i >= b.Count)
+                {
+                    if (!IsIgnored(itemPath, ignored)) diffs.Add(itemPath + ": removed " + Shorten(a[i]));
+                }
+                else if (i >= a.Count)
+                {
+                    if (!IsIgnored(itemPath, ignored)) diffs.Add(itemPath + ": added " + Shorten(b[i]));
+                }
+                else
+                {
+                    Compare(a[i], b[i], itemPath, ignored, diffs);
+                }
+            }
+        }
+        else if (!WsJsonSchema.JsonEquals(a, b))
+        {
+            diffs.Add(path + ": " + Shorten(a) + " -> " + Shorten(b));
+        }
+    }
+
+    static function IsIgnored(path: String, ignored: System.Collections.ArrayList): boolean
+    {
+        for (var i = 0; i < ignored.Count; i++)
+        {
+            if (ignored[i].regex.IsMatch(path)) return true;
+        }
+        return false;
     }
+
+    static function Shorten(value: Object): String
+    {
+        var text = WsJson.Stringify(value);
+        return (text.Length > 120) ? text.Substring(0, 117) + "..." : text;
     }
 }
 
+//
+// Minimal JSON reader and writer. Objects are read into OrderedDictionary so
+// that their members are written back in the order they were received;
+// arrays are read into ArrayList.
+//
+class WsJson
+{
+    var text: String;
+    var index: int;
+
+    function WsJson(text: String)
+    {
+        this.text = text;
+        this.index = 0;
+    }
+
+    // Throws an Exception (with the position) if the text is not valid JSON
+    static function Parse(text: String): Object
+    {
+        var reader = new WsJson(text);
+        var value = reader.ReadValue();
+        reader.SkipWhitespace();
+        if (reader.index < text.Length)
+        {
+            reader.Fail("Unexpected data after the JSON value");
+        }
+        return value;
+    }
+
+    //
+    // Value at a simple JSON path such as "I", "$.result.id" or "A[0].name",
+    // or null when there is no such value.
+    //
+    static function Select(value: Object, path: String): Object
+    {
+        var segments = ParsePath(path);
+        for (var i = 0; i < segments.Count && null != value; i++)
+        {
+            value = SelectChild(value, segments[i]);
+        }
+        return value;
+    }
+
+    //
+    // Set the value at a JSON path, creating missing objects on the way.
+    // Returns the (possibly new) root.
+    //
+    static function SetPath(root: Object, path: String, value: Object): Object
+    {
+        var segments = ParsePath(path);
+        if (segments.Count == 0)
+        {
+            return value;
+        }
+
+        var parent = root;
+        for (var i = 0; i < segments.Count - 1; i++)
+        {
+            var child = SelectChild(parent, segments[i]);
+            if (null == child)
+            {
+                child = new System.Collections.Specialized.OrderedDictionary();
+                SetChild(parent, segments[i], child);
+            }
+            parent = child;
+        }
+        SetChild(parent, segments[segments.Count - 1], value);
+        return root;
+    }
+
+    static function SetChild(parent: Object, segment: Object, value: Object)
+    {
+        if (typeof(segment) == "number" && (parent instanceof System.Collections.IList))
+        {
+            var list: System.Collections.IList = parent;
+            if (segment < list.Count)
+                list[int(segment)] = value;
+            else
+                list.Add(value);
+        }
+        else if (parent instanceof System.Collections.IDictionary)
+        {
+            var dict: System.Collections.IDictionary = parent;
+            dict[String(segment)] = value;
+        }
+        else
+        {
+            throw new Exception("Cannot set a member of a JSON primitive");
+        }
+    }
+
+    //
+    // Remove the member or array item at a JSON path, if there is one.
+    // Returns the root.
+    //
+    static function DeletePath(root: Object, path: String): Object
+    {
+        var segments = ParsePath(path);
+        if (segments.Count == 0)
+        {
+            return root;
+        }
+
+        var parent = root;
+        for (var i = 0; i < segments.Count - 1 && null != parent; i++)
+        {
+            parent = SelectChild(parent, segments[i]);
+        }
+
+        var last = segments[segments.Count - 1];
+        if (typeof(last) == "number" && (parent instanceof System.Collections.IList))
+        {
+            var list: System.Collections.IList = parent;
+            if (last < list.Count) list.RemoveAt(int(last));
+        }
+        else if (parent instanceof System.Collections.IDictionary)
+        {
+            var dict: System.Collections.IDictionary = parent;
+            dict.Remove(String(last));
+        }
+        return root;
+    }
+
+    static function SelectChild(value: Object, segment: Object): Object
+    {
+        if (typeof(segment) == "number")
+        {
+            var list: System.Collections.IList = (value instanceof System.Collections.IList) ? value : null;
+            return (null != list && segment < list.Count) ? list[int(segment)] : null;
+        }
+
+        var dict: System.Collections.IDictionary =
+            (value instanceof System.Collections.IDictionary) ? value : null;
+        return (null != dict && dict.Contains(segment)) ? dict[segment] : null;
+    }
+
+    //
+    // Split a JSON path into member names (String) and array indexes (int)
+    //
+    static function ParsePath(path: String): System.Collections.ArrayList
+    {
+        var segments = new System.Collections.ArrayList();
+        if (path.StartsWith("$"))
+        {
+            path = path.Substring(1);
+        }
+
+        var matches = System.Text.RegularExpressions.Regex.Matches(path,
+            "\\[(\\d+)\\]|\\[\"([^\"]*)\"\\]|([^.\\[\\]]+)");
+        for (var i = 0; i < matches.Count; i++)
+        {
+            var match = matches[i];
+            if (match.Groups[1].Success)
+            {
+                segments.Add(int.Parse(match.Groups[1].Value));
+            }
+            else if (match.Groups[2].Success)
+            {
+                segments.Add(match.Groups[2].Value);
+            }
+            else
+            {
+                segments.Add(match.Groups[3].Value);
+            }
+        }
+        return segments;
+    }
+
+    static function Stringify(value: Object): String
+    {
+        var sb = new System.Text.StringBuilder();
+        Write(sb, value);
+        return sb.ToString();
+    }
+
+    static function Quote(value: String): String
+    {
+        var sb = new System.Text.StringBuilder();
+        sb.Append('"');
+        for (var i = 0; i < value.Length; i++)
+        {
+            var c = value.charAt(i);
+            var code = value.charCodeAt(i);
+            switch (c)
+            {
+            case '"':  sb.Append("\\\""); break;
+            case '\\': sb.Append("\\\\"); break;
+            case '\n': sb.Append("\\n"); break;
+            case '\r': sb.Append("\\r"); break;
+            case '\t': sb.Append("\\t"); break;
+            case '\b': sb.Append("\\b"); break;
+            case '\f': sb.Append("\\f"); break;
+            default:
+                if (code < 0x20)
+                {
+                    sb.AppendFormat("\\u{0:x4}", int(code));
+                }
+                else
+                {
+                    sb.Append(c);
+                }
+            }
+        }
+        sb.Append('"');
+        return sb.ToString();
+    }
+
+    static function Write(sb: System.Text.StringBuilder, value: Object)
+    {
+        if (null == value)
+        {
+            sb.Append("null");
+        }
+        else if (value instanceof System.Collections.IDictionary)
+        {
+            var dict: System.Collections.IDictionary = value;
+            var first = true;
+            sb.Append("{");
+            for (var entry in dict)
+            {
+                if (!first) sb.Append(",");
+                first = false;
+                sb.Append(Quote(String(entry.Key)));
+                sb.Append(":");
+                Write(sb, entry.Value);
+            }
+            sb.Append("}");
+        }
+        else if (value instanceof System.Collections.IList)
+        {
+            var list: System.Collections.IList = value;
+            sb.Append("[");
+            for (var i = 0; i < list.Count; i++)
+            {
+                if (i > 0) sb.Append(",");
+                Write(sb, list[i]);
+            }
+            sb.Append("]");
+        }
+        else if (typeof(value) == "boolean")
+        {
+            sb.Append(value ? "true" : "false");
+        }
+        else if (value instanceof Double)
+        {
+            var d: double = value;
+            sb.Append((Double.IsNaN(d) || Double.IsInfinity(d))
+                ? "null" : d.ToString("R", System.Globalization.CultureInfo.InvariantCulture));
+        }
+        else if (typeof(value) == "number")
+        {
+            sb.Append(Convert.ToString(value, System.Globalization.CultureInfo.InvariantCulture));
+        }
+        else
+        {
+            sb.Append(Quote(String(value)));
+        }
+    }
+
+    function Fail(message: String)
+    {
+        throw new Exception(String.Format("{0} at position {1}", message, index));
+    }
+
+    function SkipWhitespace()
+    {
+        while (index < text.Length && " \t\r\n".indexOf(text.charAt(index)) >= 0)
+        {
+            index++;
+        }
+    }
+
+    function ReadValue(): Object
+    {
+        SkipWhitespace();
+        if (index >= text.Length)
+        {
+            Fail("Unexpected end of JSON");
+        }
+
+        var c = text.charAt(index);
+        if (c == '{') return ReadObject();
+        if (c == '[') return ReadArray();
+        if (c == '"') return ReadString();
+        if (c == '-' || (c >= '0' && c <= '9')) return ReadNumber();
+        if (String.CompareOrdinal(text, index, "true", 0, 4) == 0) { index += 4; return true; }
+        if (String.CompareOrdinal(text, index, "false", 0, 5) == 0) { index += 5; return false; }
+        if (String.CompareOrdinal(text, index, "null", 0, 4) == 0) { index += 4; return null; }
+
+        Fail("Unexpected character '" + c + "'");
+        return null;
+    }
+
+    function ReadObject(): Object
+    {
+        var result = new System.Collections.Specialized.OrderedDictionary();
+        index++;
+        SkipWhitespace();
+        if (index < text.Length && text.charAt(index) == '}')
+        {
+            index++;
+            return result;
+        }
+
+        while (true)
+        {
+            SkipWhitespace();
+            if (index >= text.Length || text.charAt(index) != '"')
+            {
+                Fail("Expected a member name");
+            }
+            var name = ReadString();
+            SkipWhitespace();
+            if (index >= text.Length || text.charAt(index) != ':')
+            {
+                Fail("Expected ':'");
+            }
+            index++;
+            result[name] = ReadValue();
+            SkipWhitespace();
+            if (index < text.Length && text.charAt(index) == ',')
+            {
+                index++;
+                continue;
+            }
+            if (index < text.Length && text.charAt(index) == '}')
+            {
+                index++;
+                return result;
+            }
+            Fail("Expected ',' or '}'");
+        }
+        return result;
+    }
+
+    function ReadArray(): Object
+    {
+        var result = new System.Collections.ArrayList();
+        index++;
+        SkipWhitespace();
+        if (index < text.Length && text.charAt(index) == ']')
+        {
+            index++;
+            return result;
+        }
+
+        while (true)
+        {
+            result.Add(ReadValue());
+            SkipWhitespace();
+            if (index < text.Length && text.charAt(index) == ',')
+            {
+                index++;
+                continue;
+            }
+            if (index < text.Length && text.charAt(index) == ']')
+            {
+                index++;
+                return result;
+            }
+            Fail("Expected ',' or ']'");
+        }
+        return result;
+    }
+
+    function ReadString(): String
+    {
+        var sb = new System.Text.StringBuilder();
+        index++;
+        while (index < text.Length)
+        {
+            var c = text.charAt(index++);
+            if (c == '"')
+            {
+                return sb.ToString();
+            }
+            if (c != '\\')
+            {
+                sb.Append(c);
+                continue;
+            }
+            if (index >= text.Length)
+            {
+                break;
+            }
+            var escaped = text.charAt(index++);
+            switch (escaped)
+            {
+            case '"':  sb.Append('"'); break;
+            case '\\': sb.Append('\\'); break;
+            case '/':  sb.Append('/'); break;
+            case 'b':  sb.Append('\b'); break;
+            case 'f':  sb.Append('\f'); break;
+            case 'n':  sb.Append('\n'); break;
+            case 'r':  sb.Append('\r'); break;
+            case 't':  sb.Append('\t'); break;
+            case 'u':
+                if (index + 4 > text.Length || !System.Text.RegularExpressions.Regex.IsMatch(
+                    text.Substring(index, 4), "^[0-9A-Fa-f]{4}$"))
+                {
+                    Fail("Invalid unicode escape");
+                }
+                sb.Append(String.fromCharCode(
+                    Convert.ToInt32(text.Substring(index, 4), 16)));
+                index += 4;
+                break;
+            default:
+                Fail("Invalid escape '\\" + escaped + "'");
+            }
+        }
+        Fail("Unterminated string");
+        return null;
+    }
+
+    // -?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?
+    function ReadNumber(): Object
+    {
+        var start = index;
+        if (text.charAt(index) == '-') index++;
+        if (index < text.Length && text.charAt(index) == '0')
+        {
+            index++;
+            if (index < text.Length && IsDigit(text.charAt(index)))
+            {
+                Fail("Invalid number, leading zero");
+            }
+        }
+        else if (!SkipDigits())
+        {
+            Fail("Invalid number, expected a digit");
+        }
+        if (index < text.Length && text.charAt(index) == '.')
+        {
+            index++;
+            if (!SkipDigits())
+            {
+                Fail("Invalid number, expected a digit after '.'");
+            }
+        }
+        if (index < text.Length && (text.charAt(index) == 'e' || text.charAt(index) == 'E'))
+        {
+            index++;
+            if (index < text.Length && (text.charAt(index) == '+' || text.charAt(index) == '-')) index++;
+            if (!SkipDigits())
+            {
+                Fail("Invalid number, expected a digit in the exponent");
+            }
+        }
+
+        var number = text.Substring(start, index - start);
+        var invariant = System.Globalization.CultureInfo.InvariantCulture;
+        try
+        {
+            return Int64.Parse(number,
+                System.Globalization.NumberStyles.AllowLeadingSign, invariant);
+        }
+        catch (e: Exception)
+        {
+            // Not an integer (or too large for one)
+        }
+
+        try
+        {
+            return Double.Parse(number,
+                System.Globalization.NumberStyles.Float, invariant);
+        }
+        catch (e: Exception)
+        {
+            Fail("Invalid number '" + number + "'");
+        }
+        return null;
+    }
+
+    // Returns false when there is no digit at the current position
+    function SkipDigits(): boolean
+    {
+        var start = index;
+        while (index < text.Length && IsDigit(text.charAt(index)))
+        {
+            index++;
+        }
+        return index > start;
+    }
 
+    function IsDigit(c: String): boolean
+    {
+        return c >= '0' && c <= '9';
+    }
+}